@@ -2,9 +2,61 @@
  * API handling functions for Veeva Vault Manager Web
  */
 
-// CORS proxy URL for all requests
+// CORS proxy URL used for all requests unless a connection profile names another
 const CORS_PROXY = 'https://cors-anywhere-syse.onrender.com/';
 
+// Idle sessions get a keep-alive every few minutes, well within the shortest session timeout a Vault can be set to
+const SESSION_KEEPALIVE_INTERVAL = 5 * 60 * 1000;
+const SESSION_KEEPALIVE_CHECK_INTERVAL = 60 * 1000;
+
+// Error types Vault reports for a session that has expired or was ended
+const INVALID_SESSION_ERRORS = ['INVALID_SESSION_ID'];
+
+// Default Vault endpoint exchanging an identity provider's access token for a session, followed by the OAuth / OIDC profile ID
+const VAULT_OAUTH_SESSION_URL = 'https://login.veevavault.com/auth/oauth/session';
+
+// REST API version used until another is configured or detected
+const DEFAULT_API_VERSION = 'v24.1';
+
+// Maximum records per write request accepted by Vault
+const MAX_BATCH_SIZE = 500;
+const MAX_MERGE_BATCH_SIZE = 10;
+
+// Maximum values per VQL lookup query, keeping the query within Vault's length limit
+const MAX_LOOKUP_BATCH_SIZE = 200;
+
+// Polling of asynchronous Vault jobs such as cascade deletes
+const JOB_POLL_INTERVAL = 2000;
+const JOB_POLL_ATTEMPTS = 150;
+
+// A failed status check is retried on the next poll; this many failures in a row end the wait
+const JOB_MAX_POLL_FAILURES = 5;
+
+// Vault Loader jobs on millions of rows can run for hours
+const LOADER_POLL_INTERVAL = 10000;
+const LOADER_POLL_ATTEMPTS = 1440;
+
+// Vault Loader load files: rows per file, the size limit of a single file staging upload and the staging folder
+const LOADER_FILE_ROWS = 100000;
+const MAX_STAGING_FILE_BYTES = 50 * 1024 * 1024;
+const LOADER_STAGING_FOLDER = '/vault_manager_loader';
+
+// Documents are read and written through the documents API instead of vobjects
+const DOCUMENTS_OBJECT = 'documents';
+const DOCUMENT_OPERATIONS = ['insert', 'update', 'delete'];
+const DOCUMENT_VERSION_FIELDS = ['major_version_number__v', 'minor_version_number__v'];
+
+// Staging folder for files uploaded to create documents
+const DOCUMENT_STAGING_FOLDER = '/vault_manager_documents';
+
+// Vault Loader action for each push operation
+const LOADER_ACTIONS = {
+    insert: 'create',
+    update: 'update',
+    upsert: 'upsert',
+    delete: 'delete'
+};
+
 /**
  * Veeva Vault API client
  */
@@ -15,6 +67,30 @@ const VeevaAPI = {
     // API URL
     apiUrl: '',
     
+    // REST API version in endpoint paths, e.g. v24.1
+    apiVersion: DEFAULT_API_VERSION,
+    
+    // CORS proxy prefixed to every request URL
+    corsProxy: CORS_PROXY,
+    
+    // Whether the password is dropped once a session ID is obtained
+    sessionOnly: false,
+    
+    // Time of the last request sent with the session, and the timer keeping idle sessions open
+    lastActivity: 0,
+    keepAliveTimer: null,
+    
+    // Whether the session was started here; pasted sessions are forgotten rather than ended
+    ownsSession: false,
+    
+    // How sessions are started: 'password', 'sso' or 'session' for a pasted session ID
+    authMethod: 'password',
+    
+    // Vault OAuth / OIDC profile, the endpoint that exchanges the identity provider token for sessions, and the token
+    oauthProfileId: '',
+    oauthSessionUrl: VAULT_OAUTH_SESSION_URL,
+    oauthToken: null,
+    
     // Credentials
     username: '',
     password: '',
@@ -22,19 +98,100 @@ const VeevaAPI = {
     // SSL verification flag
     verifySSL: true,
     
+    // Object metadata cache for the session, keyed by object name
+    metadataCache: {},
+    
+    // Picklist values cache for the session, keyed by picklist name
+    picklistCache: {},
+    
     /**
      * Initialize API with credentials
      * @param {string} apiUrl - Veeva Vault API URL
      * @param {string} username - Username
      * @param {string} password - Password
      * @param {boolean} verifySSL - Whether to verify SSL
+     * @param {Object} options - {apiVersion, corsProxy, sessionOnly, authMethod, oauthProfileId, oauthSessionUrl}; missing values fall back to
+     *                           DEFAULT_API_VERSION, CORS_PROXY, password sign-in and VAULT_OAUTH_SESSION_URL
      */
-    init(apiUrl, username, password, verifySSL = true) {
+    init(apiUrl, username, password, verifySSL = true, options = {}) {
+        const apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+        const authMethod = options.authMethod || 'password';
+        const oauthProfileId = options.oauthProfileId || '';
+        const oauthSessionUrl = (options.oauthSessionUrl || VAULT_OAUTH_SESSION_URL).replace(/\/+$/, '');
+        const sameConnection = apiUrl === this.apiUrl && username === this.username && apiVersion === this.apiVersion &&
+            authMethod === this.authMethod && oauthProfileId === this.oauthProfileId && oauthSessionUrl === this.oauthSessionUrl;
+        
+        // Metadata is only reused while connected to the same Vault through the same API version
+        if (!sameConnection) {
+            this.metadataCache = {};
+            this.picklistCache = {};
+        }
+        
+        // The open session is kept until the Vault, user or password changes; a blank password keeps it too
+        if (!sameConnection || (password && password !== this.password)) {
+            this.releaseSession();
+        }
+        
+        // An SSO token is only exchanged through the profile and endpoint it was obtained for
+        if (authMethod !== this.authMethod || oauthProfileId !== this.oauthProfileId || oauthSessionUrl !== this.oauthSessionUrl) {
+            this.oauthToken = null;
+        }
+        
         this.apiUrl = apiUrl;
         this.username = username;
         this.password = password;
         this.verifySSL = verifySSL;
-        this.sessionId = null;
+        this.apiVersion = apiVersion;
+        this.corsProxy = options.corsProxy || CORS_PROXY;
+        this.sessionOnly = !!options.sessionOnly;
+        this.authMethod = authMethod;
+        this.oauthProfileId = oauthProfileId;
+        this.oauthSessionUrl = oauthSessionUrl;
+    },
+    
+    /**
+     * Whether requests can be sent for a connection without a password: a session is open, or an SSO token can start one
+     * @param {string} apiUrl - Veeva Vault API URL
+     * @param {string} username - Username
+     * @param {string} authMethod - How the session was started
+     * @returns {boolean} - True if a session ID or unexpired SSO token is held for this URL, user and method
+     */
+    hasSession(apiUrl, username, authMethod = 'password') {
+        const canSignIn = !!this.sessionId || (!!this.oauthToken && this.oauthToken.expiresAt > Date.now());
+        return canSignIn && apiUrl === this.apiUrl && username === this.username && authMethod === this.authMethod;
+    },
+    
+    /**
+     * Build the URL of a REST API endpoint for the configured version
+     * @param {string} path - Endpoint path after the version, e.g. /query
+     * @returns {string} - Endpoint URL, without the CORS proxy
+     */
+    apiEndpoint(path) {
+        return `${this.apiUrl}/api/${this.apiVersion}${path}`;
+    },
+    
+    /**
+     * Fetch the API versions supported by the Vault
+     * @returns {Promise<Array>} - Promise resolving to version names, latest first
+     */
+    async fetchApiVersions() {
+        const sessionId = await this.getSessionId();
+        
+        const response = await this.vaultFetch(this.apiUrl + '/api', {
+            method: 'GET',
+            headers: this.getHeaders(sessionId),
+            mode: 'cors'
+        });
+        
+        const data = await this.readVaultResponse(response, 'Fetching API versions');
+        const number = version => version.replace(/^v/, '').split('.').map(part => parseInt(part, 10) || 0);
+        return Object.keys(data.values || {})
+            .filter(version => /^v\d+(\.\d+)?$/.test(version))
+            .sort((a, b) => {
+                const [majorA, minorA = 0] = number(a);
+                const [majorB, minorB = 0] = number(b);
+                return majorB - majorA || minorB - minorA;
+            });
     },
     
     /**
@@ -48,34 +205,262 @@ const VeevaAPI = {
                 return this.sessionId;
             }
             
-            // Prepare request
-            const authUrl = this.apiUrl + '/api/v24.1/auth';
-            const formData = new FormData();
-            formData.append('username', this.username);
-            formData.append('password', this.password);
-            
-            // Make request through CORS proxy
-            const response = await fetch(CORS_PROXY + authUrl, {
-                method: 'POST',
-                body: formData,
-                // Skip SSL verification by using the proxy
-                mode: 'cors'
-            });
+            if (this.authMethod === 'session') {
+                throw new Error('The pasted session ID is no longer valid; paste a new one');
+            }
             
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Authentication failed: ${response.status} - ${errorData.message || 'No details available'}`);
+            // Rejected credentials come back as a FAILURE response without a session ID
+            const data = this.authMethod === 'sso' ? await this.authenticateWithOAuth() : await this.authenticateWithPassword();
+            if (!data.sessionId) {
+                const message = data.errors && data.errors.length > 0 ? `${data.errors[0].type}: ${data.errors[0].message}` : 'No session ID returned';
+                throw new Error(`Authentication failed: ${message}`);
             }
             
-            const data = await response.json();
             this.sessionId = data.sessionId;
+            this.ownsSession = true;
+            this.lastActivity = Date.now();
+            this.startKeepAlive();
+            
+            // Session-only connections keep nothing but the session ID
+            if (this.sessionOnly) {
+                this.password = '';
+            }
             return this.sessionId;
         } catch (error) {
             Logger.error(`Failed to get session ID: ${error.message}`);
+            
+            // Lets callers stop instead of retrying requests that cannot succeed without a session
+            error.authentication = true;
             throw error;
         }
     },
     
+    /**
+     * Sign in with the username and password
+     * @returns {Promise<Object>} - Promise resolving to the authentication response
+     */
+    async authenticateWithPassword() {
+        if (!this.password) {
+            throw new Error('No password to start a new session; enter it again');
+        }
+        
+        // Prepare request
+        const authUrl = this.apiEndpoint('/auth');
+        const formData = new FormData();
+        formData.append('username', this.username);
+        formData.append('password', this.password);
+        
+        // Make request through CORS proxy
+        const response = await fetch(this.corsProxy + authUrl, {
+            method: 'POST',
+            body: formData,
+            // Skip SSL verification by using the proxy
+            mode: 'cors'
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(`Authentication failed: ${response.status} - ${errorData.message || 'No details available'}`);
+        }
+        
+        return response.json();
+    },
+    
+    /**
+     * Exchange the identity provider's access token for a session through the Vault OAuth / OIDC profile
+     * @returns {Promise<Object>} - Promise resolving to the authentication response
+     */
+    async authenticateWithOAuth() {
+        if (!this.oauthToken || this.oauthToken.expiresAt <= Date.now()) {
+            throw new Error('The SSO sign-in has expired; sign in with SSO again');
+        }
+        
+        const response = await fetch(`${this.corsProxy}${this.oauthSessionUrl}/${encodeURIComponent(this.oauthProfileId)}`, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${this.oauthToken.accessToken}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ vaultDNS: new URL(this.apiUrl).host }).toString(),
+            mode: 'cors'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Authentication failed: ${response.status}`);
+        }
+        
+        return response.json();
+    },
+    
+    /**
+     * Start a session from an identity provider token, ending the current one
+     * @param {Object} token - {accessToken, expiresAt} from OAuthClient.signIn
+     * @returns {Promise<string>} - Promise resolving to session ID
+     */
+    async startOAuthSession(token) {
+        await this.releaseSession();
+        this.oauthToken = token;
+        return this.getSessionId();
+    },
+    
+    /**
+     * Use a session ID started elsewhere, e.g. copied from a browser session
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<boolean>} - Whether Vault accepts the session
+     */
+    async useSession(sessionId) {
+        await this.releaseSession();
+        this.sessionId = sessionId;
+        this.ownsSession = false;
+        this.lastActivity = Date.now();
+        this.startKeepAlive();
+        
+        // A keep-alive checks the session without touching any data
+        if (await this.keepAlive()) {
+            return true;
+        }
+        this.stopKeepAlive();
+        return false;
+    },
+    
+    /**
+     * Send a request with the current session, signing in again and replaying it once when Vault reports the session as invalid
+     * @param {string} url - Request URL, without the CORS proxy
+     * @param {Object} options - fetch options; the Authorization header is set from the current session
+     * @returns {Promise<Response>} - Response
+     */
+    async vaultFetch(url, options = {}) {
+        const send = sessionId => fetch(this.corsProxy + url, {
+            mode: 'cors',
+            ...options,
+            headers: { ...options.headers, 'Authorization': `Bearer ${sessionId}` }
+        });
+        
+        const sessionId = await this.getSessionId();
+        let response = await send(sessionId);
+        
+        if (await this.isInvalidSession(response)) {
+            Logger.warning('The Vault session has expired, signing in again');
+            if (this.sessionId === sessionId) {
+                this.sessionId = null;
+            }
+            response = await send(await this.getSessionId());
+        }
+        
+        this.lastActivity = Date.now();
+        return response;
+    },
+    
+    /**
+     * Check whether Vault rejected a request because of its session, without consuming the response
+     * @param {Response} response - Response to check
+     * @returns {Promise<boolean>} - True for 401 responses and INVALID_SESSION_ID errors
+     */
+    async isInvalidSession(response) {
+        if (response.status === 401) return true;
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('json')) return false;
+        
+        try {
+            const data = await response.clone().json();
+            return data.responseStatus === 'FAILURE' && (data.errors || []).some(error => INVALID_SESSION_ERRORS.includes(error.type));
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    /**
+     * Start sending keep-alives while the session is idle
+     */
+    startKeepAlive() {
+        if (this.keepAliveTimer) return;
+        
+        this.keepAliveTimer = setInterval(() => {
+            if (this.sessionId && Date.now() - this.lastActivity >= SESSION_KEEPALIVE_INTERVAL) {
+                this.keepAlive().catch(error => Logger.warning(`Session keep-alive failed: ${error.message}`));
+            }
+        }, SESSION_KEEPALIVE_CHECK_INTERVAL);
+    },
+    
+    /**
+     * Stop sending keep-alives
+     */
+    stopKeepAlive() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+    },
+    
+    /**
+     * Keep the session open; a session that has already ended is dropped so the next request signs in again
+     * @returns {Promise<boolean>} - Whether the session is still open
+     */
+    async keepAlive() {
+        const sessionId = this.sessionId;
+        if (!sessionId) return false;
+        
+        const response = await fetch(this.corsProxy + this.apiEndpoint('/keep-alive'), {
+            method: 'POST',
+            headers: this.getHeaders(sessionId),
+            mode: 'cors'
+        });
+        this.lastActivity = Date.now();
+        
+        if (await this.isInvalidSession(response)) {
+            if (this.sessionId === sessionId) {
+                this.sessionId = null;
+            }
+            Logger.info('The idle Vault session has ended; the next request signs in again');
+            return false;
+        }
+        
+        await this.readVaultResponse(response, 'Session keep-alive');
+        return true;
+    },
+    
+    /**
+     * Stop using the session: sessions started here are ended, pasted ones are only forgotten
+     * @param {boolean} unloading - Whether the page is closing, so the request has to outlive it
+     * @returns {Promise<boolean>} - Whether an open session was ended
+     */
+    async releaseSession(unloading = false) {
+        if (this.ownsSession) {
+            return this.logout(unloading);
+        }
+        
+        this.sessionId = null;
+        this.stopKeepAlive();
+        return false;
+    },
+    
+    /**
+     * End the Vault session
+     * @param {boolean} unloading - Whether the page is closing, so the request has to outlive it
+     * @returns {Promise<boolean>} - Whether an open session was ended
+     */
+    async logout(unloading = false) {
+        const sessionId = this.sessionId;
+        const url = this.apiEndpoint('/session');
+        this.sessionId = null;
+        this.stopKeepAlive();
+        if (!sessionId) return false;
+        
+        try {
+            const response = await fetch(this.corsProxy + url, {
+                method: 'DELETE',
+                headers: this.getHeaders(sessionId),
+                mode: 'cors',
+                keepalive: unloading
+            });
+            await this.readVaultResponse(response, 'Ending the session');
+            return true;
+        } catch (error) {
+            Logger.warning(error.message);
+            return false;
+        }
+    },
+    
     /**
      * Get headers for API requests
      * @param {string} sessionId - Session ID
@@ -112,9 +497,9 @@ const VeevaAPI = {
             const sessionId = await this.getSessionId();
             const headers = this.getHeaders(sessionId);
             
-            const url = this.apiUrl + '/api/v24.1/metadata/vobjects';
+            const url = this.apiEndpoint('/metadata/vobjects');
             
-            const response = await fetch(CORS_PROXY + url, {
+            const response = await this.vaultFetch(url, {
                 method: 'GET',
                 headers: headers,
                 mode: 'cors'
@@ -133,18 +518,120 @@ const VeevaAPI = {
     },
     
     /**
-     * Fetch fields for a specific object
+     * Fetch document property metadata in the same form as object metadata
+     * @returns {Promise<Object>} - Promise resolving to {name, label, fields, relationships}
+     */
+    async fetchDocumentMetadata() {
+        const sessionId = await this.getSessionId();
+        const headers = this.getHeaders(sessionId);
+        
+        const response = await this.vaultFetch(this.apiEndpoint('/metadata/objects/documents/properties'), {
+            method: 'GET',
+            headers: headers,
+            mode: 'cors'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to fetch document properties: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        const fields = (data.properties || []).map(property => this.normalizeDocumentProperty(property));
+        
+        // New documents name their source file in a file column; it can be mapped but not queried
+        fields.push({
+            ...this.normalizeDocumentProperty({ name: 'file', label: 'File', type: 'File', editable: true, queryable: false }),
+            required: true
+        });
+        
+        return {
+            name: DOCUMENTS_OBJECT,
+            label: 'Documents',
+            labelPlural: 'Documents',
+            status: '',
+            description: '',
+            fields: fields,
+            relationships: []
+        };
+    },
+    
+    /**
+     * Normalize a document property definition to the field metadata form
+     * @param {Object} property - Property as returned by the document metadata API
+     * @returns {Object} - Field metadata
+     */
+    normalizeDocumentProperty(property) {
+        return {
+            name: property.name,
+            label: property.label || property.name,
+            type: property.type || '',
+            required: property.required === true,
+            unique: property.unique === true,
+            maxLength: property.maxLength || null,
+            minValue: property.minValue !== undefined ? property.minValue : null,
+            maxValue: property.maxValue !== undefined ? property.maxValue : null,
+            scale: property.scale !== undefined ? property.scale : null,
+            picklist: '',
+            multiValue: property.repeating === true,
+            relationshipObject: property.objectType || '',
+            relationshipName: '',
+            editable: property.editable !== false,
+            systemManaged: false,
+            source: property.systemAttribute ? 'system' : 'custom',
+            helpContent: property.helpContent || '',
+            queryable: property.queryable !== false
+        };
+    },
+    
+    /**
+     * Normalize a Vault field definition
+     * @param {Object} field - Field as returned by the metadata API
+     * @returns {Object} - Field metadata
+     */
+    normalizeField(field) {
+        return {
+            name: field.name,
+            label: field.label || field.name,
+            type: field.type || '',
+            required: field.required === true,
+            unique: field.unique === true,
+            maxLength: field.max_length || null,
+            minValue: field.min_value !== undefined ? field.min_value : null,
+            maxValue: field.max_value !== undefined ? field.max_value : null,
+            scale: field.scale !== undefined ? field.scale : null,
+            picklist: field.picklist || '',
+            multiValue: field.multi_value === true,
+            relationshipObject: field.object ? field.object.name : '',
+            relationshipName: field.relationship_name || '',
+            editable: field.editable !== false,
+            systemManaged: field.source === 'system' || field.system_managed_name === true,
+            source: field.source || '',
+            helpContent: field.help_content || ''
+        };
+    },
+    
+    /**
+     * Fetch metadata for a specific object, cached for the session
      * @param {string} objectName - Name of the object
-     * @returns {Promise<Array>} - Promise resolving to array of field names
+     * @returns {Promise<Object>} - Promise resolving to {name, label, labelPlural, status, fields, relationships}
      */
-    async fetchObjectFields(objectName) {
+    async fetchObjectMetadata(objectName) {
+        if (this.metadataCache[objectName]) {
+            return this.metadataCache[objectName];
+        }
+        
+        if (objectName === DOCUMENTS_OBJECT) {
+            this.metadataCache[objectName] = await this.fetchDocumentMetadata();
+            return this.metadataCache[objectName];
+        }
+        
         try {
             const sessionId = await this.getSessionId();
             const headers = this.getHeaders(sessionId);
             
-            const url = this.apiUrl + `/api/v24.1/metadata/vobjects/${objectName}`;
+            const url = this.apiEndpoint(`/metadata/vobjects/${objectName}`);
             
-            const response = await fetch(CORS_PROXY + url, {
+            const response = await this.vaultFetch(url, {
                 method: 'GET',
                 headers: headers,
                 mode: 'cors'
@@ -155,13 +642,180 @@ const VeevaAPI = {
             }
             
             const data = await response.json();
-            return data.object.fields.map(field => field.name);
+            
+            // Parent and outbound references point to one record; child and inbound references to many
+            const relationships = (data.object.relationships || []).map(relationship => ({
+                name: relationship.relationship_name,
+                label: relationship.relationship_label || relationship.relationship_name,
+                field: relationship.field || '',
+                type: ['reference_inbound', 'child'].includes(relationship.relationship_type) ? 'inbound' : 'outbound',
+                object: relationship.object ? relationship.object.name : ''
+            }));
+            
+            const metadata = {
+                name: data.object.name || objectName,
+                label: data.object.label || objectName,
+                labelPlural: data.object.label_plural || '',
+                status: Array.isArray(data.object.status) ? data.object.status.join(', ') : (data.object.status || ''),
+                description: data.object.description || '',
+                fields: data.object.fields.map(field => this.normalizeField(field)),
+                relationships: relationships
+            };
+            
+            this.metadataCache[objectName] = metadata;
+            return metadata;
         } catch (error) {
             Logger.error(`Failed to fetch fields: ${error.message}`);
             throw error;
         }
     },
     
+    /**
+     * Fetch the values of a picklist, cached for the session
+     * @param {string} picklistName - Name of the picklist
+     * @param {boolean} refresh - Whether to bypass the cache
+     * @returns {Promise<Array>} - Promise resolving to array of {name, label, status, order}
+     */
+    async fetchPicklistValues(picklistName, refresh = false) {
+        if (this.picklistCache[picklistName] && !refresh) {
+            return this.picklistCache[picklistName];
+        }
+        
+        try {
+            const sessionId = await this.getSessionId();
+            const headers = this.getHeaders(sessionId);
+            
+            const url = this.apiEndpoint(`/objects/picklists/${picklistName}`);
+            
+            const response = await this.vaultFetch(url, {
+                method: 'GET',
+                headers: headers,
+                mode: 'cors'
+            });
+            
+            // Unknown picklists come back as a FAILURE response
+            const data = await this.readVaultResponse(response, 'Fetching picklist');
+            const values = (data.picklistValues || []).map((value, index) => ({
+                name: value.name,
+                label: value.label || value.name,
+                status: value.status || 'active',
+                order: index + 1
+            }));
+            
+            this.picklistCache[picklistName] = values;
+            return values;
+        } catch (error) {
+            Logger.error(`Failed to fetch picklist ${picklistName}: ${error.message}`);
+            throw error;
+        }
+    },
+    
+    /**
+     * Fetch the names and labels of all picklists
+     * @returns {Promise<Array>} - Promise resolving to array of {name, label}, sorted by name
+     */
+    async fetchPicklists() {
+        try {
+            const sessionId = await this.getSessionId();
+            
+            const response = await this.vaultFetch(this.apiEndpoint('/objects/picklists'), {
+                method: 'GET',
+                headers: this.getHeaders(sessionId),
+                mode: 'cors'
+            });
+            const data = await this.readVaultResponse(response, 'Fetching picklists');
+            
+            return (data.picklists || [])
+                .map(picklist => ({ name: picklist.name, label: picklist.label || picklist.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            Logger.error(`Failed to fetch picklists: ${error.message}`);
+            throw error;
+        }
+    },
+    
+    /**
+     * Send a form-encoded change to a picklist and drop its cached values
+     * @param {string} method - HTTP method
+     * @param {string} picklistName - Name of the picklist
+     * @param {string} valueName - Value to change, or empty for the picklist itself
+     * @param {Object} params - Form parameters
+     * @returns {Promise<Object>} - Response data
+     */
+    async changePicklist(method, picklistName, valueName = '', params = {}) {
+        const sessionId = await this.getSessionId();
+        delete this.picklistCache[picklistName];
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/objects/picklists/${picklistName}${valueName ? `/${valueName}` : ''}`), {
+            method: method,
+            headers: {
+                ...this.getHeaders(sessionId),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams(params),
+            mode: 'cors'
+        });
+        
+        return this.readVaultResponse(response, `Updating picklist ${picklistName}${valueName ? ` value ${valueName}` : ''}`);
+    },
+    
+    /**
+     * Add values to a picklist; Vault derives each value name from its label
+     * @param {string} picklistName - Name of the picklist
+     * @param {Array} labels - Labels of the new values
+     * @returns {Promise<Array>} - Created values of {name, label}, in the order of the labels
+     */
+    async createPicklistValues(picklistName, labels) {
+        const params = {};
+        labels.forEach((label, index) => {
+            params[`value_${index + 1}`] = label;
+        });
+        
+        const data = await this.changePicklist('POST', picklistName, '', params);
+        return (data.picklistValues || []).map(value => ({ name: value.name, label: value.label }));
+    },
+    
+    /**
+     * Change the labels of picklist values
+     * @param {string} picklistName - Name of the picklist
+     * @param {Object} labels - New labels keyed by value name
+     * @returns {Promise<Object>} - Response data
+     */
+    relabelPicklistValues(picklistName, labels) {
+        return this.changePicklist('PUT', picklistName, '', labels);
+    },
+    
+    /**
+     * Rename a picklist value or change its status
+     * @param {string} picklistName - Name of the picklist
+     * @param {string} valueName - Name of the value
+     * @param {Object} changes - {name} and/or {status: 'active' or 'inactive'}
+     * @returns {Promise<Object>} - Response data
+     */
+    updatePicklistValue(picklistName, valueName, changes) {
+        return this.changePicklist('PUT', picklistName, valueName, changes);
+    },
+    
+    /**
+     * Inactivate a picklist value; values in use cannot be deleted, so Vault only hides them
+     * @param {string} picklistName - Name of the picklist
+     * @param {string} valueName - Name of the value
+     * @returns {Promise<Object>} - Response data
+     */
+    inactivatePicklistValue(picklistName, valueName) {
+        return this.changePicklist('DELETE', picklistName, valueName);
+    },
+    
+    /**
+     * Fetch fields for a specific object
+     * @param {string} objectName - Name of the object
+     * @returns {Promise<Array>} - Promise resolving to array of field names
+     */
+    async fetchObjectFields(objectName) {
+        const metadata = await this.fetchObjectMetadata(objectName);
+        return metadata.fields.map(field => field.name);
+    },
+    
     /**
      * Pull data from Veeva Vault
      * @param {string} objectName - Name of the object to pull
@@ -181,10 +835,10 @@ const VeevaAPI = {
             let moreData = true;
             
             while (moreData) {
-                const url = this.apiUrl + `/api/v24.1/vobjects/${objectName}?fields=${fieldsString}&limit=${batchSize}&offset=${offset}`;
+                const url = this.apiEndpoint(`/vobjects/${objectName}?fields=${fieldsString}&limit=${batchSize}&offset=${offset}`);
                 
                 try {
-                    const response = await fetch(CORS_PROXY + url, {
+                    const response = await this.vaultFetch(url, {
                         method: 'GET',
                         headers: headers,
                         mode: 'cors'
@@ -201,13 +855,7 @@ const VeevaAPI = {
                         moreData = false;
                     } else {
                         // Clean data by replacing square brackets
-                        records.forEach(record => {
-                            Object.keys(record).forEach(key => {
-                                if (typeof record[key] === 'string') {
-                                    record[key] = record[key].replace('[', '').replace(']', '');
-                                }
-                            });
-                        });
+                        this.cleanRecords(records);
                         
                         allData = allData.concat(records);
                         offset += batchSize;
@@ -218,6 +866,9 @@ const VeevaAPI = {
                         }
                     }
                 } catch (error) {
+                    // Without a session no later batch can succeed either
+                    if (error.authentication) throw error;
+                    
                     Logger.warning(`Error fetching batch at offset ${offset}: ${error.message}`);
                     
                     // Try with a smaller batch size
@@ -225,10 +876,10 @@ const VeevaAPI = {
                     if (smallerBatchSize >= 10) {
                         Logger.info(`Retrying with smaller batch size: ${smallerBatchSize}`);
                         
-                        const smallerUrl = this.apiUrl + `/api/v24.1/vobjects/${objectName}?fields=${fieldsString}&limit=${smallerBatchSize}&offset=${offset}`;
+                        const smallerUrl = this.apiEndpoint(`/vobjects/${objectName}?fields=${fieldsString}&limit=${smallerBatchSize}&offset=${offset}`);
                         
                         try {
-                            const retryResponse = await fetch(CORS_PROXY + smallerUrl, {
+                            const retryResponse = await this.vaultFetch(smallerUrl, {
                                 method: 'GET',
                                 headers: headers,
                                 mode: 'cors'
@@ -245,13 +896,7 @@ const VeevaAPI = {
                                 moreData = false;
                             } else {
                                 // Clean data by replacing square brackets
-                                retryRecords.forEach(record => {
-                                    Object.keys(record).forEach(key => {
-                                        if (typeof record[key] === 'string') {
-                                            record[key] = record[key].replace('[', '').replace(']', '');
-                                        }
-                                    });
-                                });
+                                this.cleanRecords(retryRecords);
                                 
                                 allData = allData.concat(retryRecords);
                                 offset += smallerBatchSize;
@@ -264,6 +909,7 @@ const VeevaAPI = {
                                 Logger.info(`Recovered and continued with smaller batch size`);
                             }
                         } catch (retryError) {
+                            if (retryError.authentication) throw retryError;
                             Logger.error(`Failed during retry: ${retryError.message}. Skipping to next batch.`);
                             offset += smallerBatchSize; // Skip this batch
                         }
@@ -282,22 +928,903 @@ const VeevaAPI = {
         }
     },
     
+    /**
+     * Convert picklist values to the comma separated form Vault accepts on import
+     * @param {Array} records - Records to clean in place
+     * @returns {Array} - The same records
+     */
+    cleanRecords(records) {
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                const value = record[key];
+                
+                // Picklists are returned as arrays, with several entries for multi-value picklists
+                if (Array.isArray(value)) {
+                    record[key] = value.join(',');
+                } else if (typeof value === 'string' && /^\[\s*\w+__\w+(\s*,\s*\w+__\w+)*\s*\]$/.test(value)) {
+                    // Bracketed lists of value names; other text keeps its brackets
+                    record[key] = value.slice(1, -1).split(',').map(item => item.trim()).join(',');
+                }
+            });
+        });
+        
+        return records;
+    },
+    
+    /**
+     * Flatten inbound subquery results into relationship.field columns
+     * @param {Array} records - Records to flatten in place
+     * @returns {Array} - The same records
+     */
+    flattenRecords(records) {
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                const value = record[key];
+                if (!value || typeof value !== 'object' || !Array.isArray(value.data)) return;
+                
+                // Related records are joined into one cell per field
+                const columns = {};
+                value.data.forEach(child => {
+                    Object.keys(child).forEach(childKey => {
+                        columns[childKey] = columns[childKey] || [];
+                        columns[childKey].push(child[childKey] === null ? '' : child[childKey]);
+                    });
+                });
+                
+                delete record[key];
+                Object.keys(columns).forEach(childKey => {
+                    record[`${key}.${childKey}`] = columns[childKey].join('; ');
+                });
+            });
+        });
+        
+        return records;
+    },
+    
+    /**
+     * Build the SELECT list, grouping inbound relationship fields into subqueries
+     * @param {Array} fields - Field names, with related fields as relationship.field
+     * @param {Array} inboundRelationships - Names of inbound relationships
+     * @returns {string} - Comma separated select list
+     */
+    buildSelectList(fields, inboundRelationships = []) {
+        const selectList = [];
+        const subqueries = {};
+        
+        fields.forEach(field => {
+            const [relationship, childField] = field.split('.');
+            if (childField && inboundRelationships.includes(relationship)) {
+                if (!subqueries[relationship]) {
+                    subqueries[relationship] = [];
+                    selectList.push(relationship);
+                }
+                subqueries[relationship].push(childField);
+            } else {
+                selectList.push(field);
+            }
+        });
+        
+        return selectList
+            .map(item => subqueries[item] ? `(SELECT ${subqueries[item].join(', ')} FROM ${item})` : item)
+            .join(', ');
+    },
+    
+    /**
+     * Format a filter value as a VQL literal
+     * @param {string} value - Raw value entered by the user
+     * @param {string} type - Field type from the object metadata; without one, numbers, booleans and null are left bare
+     * @returns {string} - Quoted string, or the bare value for number and boolean fields
+     */
+    formatVqlValue(value, type = '') {
+        const trimmed = String(value).trim();
+        
+        switch (type) {
+            case 'Number':
+            case 'Currency':
+            case 'Percent':
+                if (!/^-?\d+(\.\d+)?$/.test(trimmed)) {
+                    throw new Error(`Filter value "${trimmed}" is not a number`);
+                }
+                return trimmed;
+            case 'Boolean':
+                if (!/^(true|false)$/i.test(trimmed)) {
+                    throw new Error(`Filter value "${trimmed}" must be true or false`);
+                }
+                return trimmed.toLowerCase();
+            case '':
+                // Related fields have no metadata here, so their literals are recognised by their form
+                if (/^-?\d+(\.\d+)?$/.test(trimmed) || /^(true|false|null)$/i.test(trimmed)) {
+                    return trimmed;
+                }
+        }
+        
+        return `'${trimmed.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    },
+    
+    /**
+     * Build the WHERE conditions for filters
+     * @param {Array} filters - Array of {field, operator, value, type} conditions; type is the field type from the object metadata
+     * @returns {string} - Conditions joined with AND, empty when there are none
+     */
+    buildVqlConditions(filters = []) {
+        return filters
+            .filter(filter => filter.field && filter.operator)
+            .map(filter => {
+                const type = filter.type || '';
+                
+                if (filter.operator === 'IN') {
+                    const values = String(filter.value).split(',').map(value => this.formatVqlValue(value, type));
+                    return `${filter.field} IN (${values.join(', ')})`;
+                }
+                
+                if (filter.operator === 'CONTAINS') {
+                    return `${filter.field} CONTAINS (${this.formatVqlValue(filter.value, type)})`;
+                }
+                
+                // VQL compares with null through IS NULL and IS NOT NULL
+                if (/^null$/i.test(String(filter.value).trim()) && ['=', '!='].includes(filter.operator)) {
+                    return `${filter.field} ${filter.operator === '=' ? 'IS NULL' : 'IS NOT NULL'}`;
+                }
+                
+                return `${filter.field} ${filter.operator} ${this.formatVqlValue(filter.value, type)}`;
+            })
+            .join(' AND ');
+    },
+    
+    /**
+     * Build a VQL query from structured options
+     * @param {string} objectName - Name of the object to query
+     * @param {Array} fields - Array of field names to select
+     * @param {Object} options - Query options
+     * @param {Array} options.filters - Array of {field, operator, value} conditions joined with AND
+     * @param {string} options.orderBy - Field to sort by
+     * @param {string} options.orderDirection - ASC or DESC
+     * @param {number} options.limit - Maximum number of records to return
+     * @param {Array} options.inboundRelationships - Names of inbound relationships to select as subqueries
+     * @param {boolean} options.allVersions - For documents, return every version instead of the latest
+     * @returns {string} - VQL query string
+     */
+    buildVqlQuery(objectName, fields, options = {}) {
+        const { filters = [], orderBy = '', orderDirection = 'ASC', limit = 0, inboundRelationships = [], allVersions = false } = options;
+        
+        let query = `SELECT ${this.buildSelectList(fields, inboundRelationships)} FROM ${allVersions ? 'ALLVERSIONS ' : ''}${objectName}`;
+        
+        const conditions = this.buildVqlConditions(filters);
+        if (conditions) {
+            query += ` WHERE ${conditions}`;
+        }
+        
+        if (orderBy) {
+            query += ` ORDER BY ${orderBy} ${orderDirection === 'DESC' ? 'DESC' : 'ASC'}`;
+        }
+        
+        if (limit > 0) {
+            query += ` LIMIT ${limit}`;
+        }
+        
+        return query;
+    },
+    
+    /**
+     * Run a VQL query, following next_page links until all pages are fetched
+     * @param {string} query - VQL query string
+     * @param {Function} progressCallback - Callback for progress updates
+     * @returns {Promise<Array>} - Promise resolving to array of records
+     */
+    async queryData(query, progressCallback = null) {
+        try {
+            const sessionId = await this.getSessionId();
+            const headers = this.getHeaders(sessionId);
+            
+            let allData = [];
+            
+            // First page is requested with the query in a form-encoded body
+            let response = await this.vaultFetch(this.apiEndpoint('/query'), {
+                method: 'POST',
+                headers: {
+                    ...headers,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({ q: query }),
+                mode: 'cors'
+            });
+            
+            while (response) {
+                if (!response.ok) {
+                    throw new Error(`Query failed: ${response.status}`);
+                }
+                
+                const pageData = await response.json();
+                
+                if (pageData.responseStatus === 'FAILURE') {
+                    const message = pageData.errors && pageData.errors.length > 0
+                        ? `${pageData.errors[0].type}: ${pageData.errors[0].message}`
+                        : 'No details available';
+                    throw new Error(`Query failed: ${message}`);
+                }
+                
+                allData = allData.concat(this.cleanRecords(this.flattenRecords(pageData.data || [])));
+                
+                // Call progress callback if provided
+                if (progressCallback) {
+                    const total = pageData.responseDetails ? pageData.responseDetails.total : null;
+                    progressCallback(allData.length, total);
+                }
+                
+                const nextPage = pageData.responseDetails && pageData.responseDetails.next_page;
+                response = nextPage
+                    ? await this.vaultFetch(this.apiUrl + nextPage, {
+                        method: 'GET',
+                        headers: headers,
+                        mode: 'cors'
+                    })
+                    : null;
+            }
+            
+            return allData;
+        } catch (error) {
+            Logger.error(`Failed to run query: ${error.message}`);
+            throw error;
+        }
+    },
+    
+    /**
+     * Find record ids by the value of a key field, querying in batches
+     * @param {string} objectName - Name of the object to search
+     * @param {string} keyField - Field holding the values, e.g. external_id__v or name__v
+     * @param {Array} values - Distinct values to look up; they are always compared as text
+     * @returns {Promise<Object>} - Promise resolving to arrays of matching ids keyed by normalizeLookupValue of the value
+     */
+    async lookupRecordIds(objectName, keyField, values) {
+        const ids = {};
+        
+        for (let i = 0; i < values.length; i += MAX_LOOKUP_BATCH_SIZE) {
+            const batch = values.slice(i, i + MAX_LOOKUP_BATCH_SIZE);
+            const valueList = batch.map(value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`).join(', ');
+            const records = await this.queryData(`SELECT id, ${keyField} FROM ${objectName} WHERE ${keyField} CONTAINS (${valueList})`);
+            
+            // Values differing only in case can fall into different batches and match the same record twice
+            records.forEach(record => {
+                const key = this.normalizeLookupValue(record[keyField]);
+                ids[key] = ids[key] || [];
+                if (!ids[key].includes(record.id)) {
+                    ids[key].push(record.id);
+                }
+            });
+        }
+        
+        return ids;
+    },
+    
+    /**
+     * Normalize a lookup value the way VQL compares it, so file values match the values Vault returns
+     * @param {*} value - Value from the file or from Vault
+     * @returns {string} - Trimmed lower case text
+     */
+    normalizeLookupValue(value) {
+        return String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+    },
+    
+    /**
+     * Get headers for record writes, including the optional X-VaultAPI headers
+     * @param {string} sessionId - Session ID
+     * @param {Object} options - Options as passed to pushData
+     * @returns {Object} - Headers
+     */
+    getWriteHeaders(sessionId, options = {}) {
+        const headers = this.getHeaders(sessionId);
+        
+        if (options.migrationMode) {
+            headers['X-VaultAPI-MigrationMode'] = 'true';
+        }
+        if (options.noTriggers) {
+            headers['X-VaultAPI-NoTriggers'] = 'true';
+        }
+        
+        return headers;
+    },
+    
+    /**
+     * Convert a batch of records to a text/csv request body
+     * @param {Array} records - Records to convert
+     * @returns {string} - CSV with one column per field used in any record
+     */
+    recordsToCSV(records) {
+        const columns = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+        
+        return FileUtils.dataToCSV(records.map(record => {
+            const row = {};
+            columns.forEach(column => {
+                row[column] = record[column] === undefined || record[column] === null ? '' : record[column];
+            });
+            return row;
+        }), columns);
+    },
+    
+    /**
+     * Cascade delete records one at a time, deleting their child records too, and wait for each job
+     * @param {string} objectName - Name of the object
+     * @param {Array} data - Records with an id
+     * @param {Function} progressCallback - Callback for progress updates
+     * @param {Object} options - Migration Mode and No Triggers flags, as for pushData
+     * @returns {Promise<Object>} - Promise resolving to results in the same form as pushData
+     */
+    async cascadeDeleteRecords(objectName, data, progressCallback = null, options = {}) {
+        const sessionId = await this.getSessionId();
+        const headers = this.getWriteHeaders(sessionId, options);
+        
+        const results = {
+            total: data.length,
+            success: 0,
+            failures: 0,
+            logs: [],
+            records: [],
+            recordSuccesses: 0,
+            recordFailures: 0
+        };
+        
+        for (let i = 0; i < data.length; i++) {
+            const recordResult = { index: i, status: 'Failure', id: data[i].id || '', errorType: '', errorMessage: '' };
+            
+            try {
+                if (!data[i].id) {
+                    throw new Error('Record has no id');
+                }
+                
+                const response = await this.vaultFetch(this.apiEndpoint(`/vobjects/${objectName}/${encodeURIComponent(data[i].id)}/actions/cascadedelete`), {
+                    method: 'POST',
+                    headers: headers,
+                    mode: 'cors'
+                });
+                const responseData = await response.json();
+                
+                if (responseData.responseStatus !== 'SUCCESS') {
+                    const error = responseData.errors && responseData.errors.length > 0 ? responseData.errors[0] : {};
+                    recordResult.errorType = error.type || `HTTP_${response.status}`;
+                    recordResult.errorMessage = error.message || 'Cascade delete was rejected';
+                } else {
+                    const jobStatus = await this.waitForJob(responseData.job_id);
+                    if (jobStatus === 'SUCCESS') {
+                        recordResult.status = 'Success';
+                    } else {
+                        recordResult.errorType = 'JOB_' + jobStatus;
+                        recordResult.errorMessage = `Cascade delete job ${responseData.job_id} ended with status ${jobStatus}`;
+                    }
+                }
+            } catch (error) {
+                recordResult.errorType = 'REQUEST_FAILED';
+                recordResult.errorMessage = error.message;
+            }
+            
+            if (recordResult.status === 'Success') {
+                results.success++;
+                results.recordSuccesses++;
+            } else {
+                results.failures++;
+                results.recordFailures++;
+            }
+            results.records.push(recordResult);
+            results.logs.push({
+                batch: i + 1,
+                status: recordResult.status === 'Success' ? 200 : 'Error',
+                message: `Cascade delete of ${recordResult.id}: ${recordResult.status === 'Success' ? 'completed' : recordResult.errorMessage}`,
+                response: ''
+            });
+            
+            if (progressCallback) {
+                progressCallback(i + 1, data.length);
+            }
+        }
+        
+        return results;
+    },
+    
+    /**
+     * Poll an asynchronous job until it finishes
+     * @param {string} jobId - Job ID
+     * @param {Function} statusCallback - Called with the status and elapsed milliseconds after each poll
+     * @param {number} pollInterval - Milliseconds between polls
+     * @param {number} maxAttempts - Number of polls before giving up
+     * @returns {Promise<string>} - Final job status, TIMEOUT if it is still running after the last poll,
+     *                             or POLL_FAILED if its status could not be read several times in a row
+     */
+    async waitForJob(jobId, statusCallback = null, pollInterval = JOB_POLL_INTERVAL, maxAttempts = JOB_POLL_ATTEMPTS) {
+        const sessionId = await this.getSessionId();
+        const headers = this.getHeaders(sessionId);
+        let pollFailures = 0;
+        
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+            
+            let status;
+            try {
+                const response = await this.vaultFetch(this.apiEndpoint(`/services/jobs/${jobId}`), {
+                    method: 'GET',
+                    headers: headers,
+                    mode: 'cors'
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const jobData = await response.json().catch(() => {
+                    throw new Error('the response was not JSON');
+                });
+                if (jobData.responseStatus === 'FAILURE') {
+                    const error = jobData.errors && jobData.errors.length > 0 ? jobData.errors[0] : {};
+                    throw new Error(error.message || error.type || 'Vault returned FAILURE');
+                }
+                
+                status = jobData.data ? jobData.data.status : '';
+                pollFailures = 0;
+            } catch (error) {
+                pollFailures++;
+                Logger.warning(`Checking the status of job ${jobId} failed (${pollFailures} in a row): ${error.message}`);
+                if (pollFailures >= JOB_MAX_POLL_FAILURES) {
+                    return 'POLL_FAILED';
+                }
+                continue;
+            }
+            
+            if (statusCallback) {
+                statusCallback(status, (attempt + 1) * pollInterval);
+            }
+            
+            if (!['SCHEDULED', 'QUEUED', 'QUEUEING', 'RUNNING'].includes(status)) {
+                return status || 'UNKNOWN';
+            }
+        }
+        
+        return 'TIMEOUT';
+    },
+    
+    /**
+     * Read a JSON response, throwing the first Vault error when the request failed
+     * @param {Response} response - Fetch response
+     * @param {string} action - Description of the request for error messages
+     * @returns {Promise<Object>} - Response data
+     */
+    async readVaultResponse(response, action) {
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`${action} failed: ${response.status}`);
+        }
+        
+        if (!response.ok || data.responseStatus !== 'SUCCESS') {
+            const message = data.errors && data.errors.length > 0
+                ? `${data.errors[0].type}: ${data.errors[0].message}`
+                : `${response.status}`;
+            throw new Error(`${action} failed: ${message}`);
+        }
+        
+        return data;
+    },
+    
+    /**
+     * Create a folder on the file staging server, leaving an existing folder in place
+     * @param {string} path - Folder path, e.g. /vault_manager_loader
+     * @returns {Promise<void>}
+     */
+    async createStagingFolder(path) {
+        const sessionId = await this.getSessionId();
+        const formData = new FormData();
+        formData.append('kind', 'folder');
+        formData.append('path', path);
+        
+        const response = await this.vaultFetch(this.apiEndpoint('/services/file_staging/items'), {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${sessionId}`
+            },
+            body: formData,
+            mode: 'cors'
+        });
+        const data = await response.json();
+        
+        const exists = data.errors && data.errors.some(error => /already exists/i.test(error.message || ''));
+        if (data.responseStatus !== 'SUCCESS' && !exists) {
+            const error = data.errors && data.errors.length > 0 ? data.errors[0] : {};
+            throw new Error(`Creating staging folder ${path} failed: ${error.type || response.status}: ${error.message || ''}`);
+        }
+    },
+    
+    /**
+     * Upload a file to the file staging server, replacing any file at the same path
+     * @param {string} path - File path, e.g. /vault_manager_loader/product__v_1.csv
+     * @param {string|Blob} content - File content
+     * @returns {Promise<void>}
+     */
+    async uploadStagingFile(path, content) {
+        const sessionId = await this.getSessionId();
+        const formData = new FormData();
+        formData.append('kind', 'file');
+        formData.append('path', path);
+        formData.append('overwrite', 'true');
+        formData.append('file', content instanceof Blob ? content : new Blob([content], { type: 'text/csv' }), path.split('/').pop());
+        
+        const response = await this.vaultFetch(this.apiEndpoint('/services/file_staging/items'), {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${sessionId}`
+            },
+            body: formData,
+            mode: 'cors'
+        });
+        await this.readVaultResponse(response, `Uploading ${path} to file staging`);
+    },
+    
+    /**
+     * Download a CSV file produced by a Vault Loader task
+     * @param {string} jobId - Loader job ID
+     * @param {string} taskId - Task ID
+     * @param {string} file - 'results' for extracts, 'successlog' or 'failurelog' for loads
+     * @returns {Promise<Array>} - Rows of the file keyed by column
+     */
+    async fetchLoaderTaskFile(jobId, taskId, file) {
+        const sessionId = await this.getSessionId();
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/services/loader/${jobId}/tasks/${taskId}/${file}`), {
+            method: 'GET',
+            headers: {
+                'Accept': 'text/csv',
+                'Authorization': `Bearer ${sessionId}`
+            },
+            mode: 'cors'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Downloading ${file} of loader task ${taskId} failed: ${response.status}`);
+        }
+        
+        const text = await response.text();
+        return text.trim() === '' ? [] : Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+    },
+    
+    /**
+     * Start a Vault Loader job and wait for it to finish
+     * @param {string} kind - 'extract' or 'load'
+     * @param {Array} tasks - Task definitions sent to the loader
+     * @param {Function} statusCallback - Called with the job ID, status and elapsed milliseconds while the job runs
+     * @returns {Promise<Object>} - {jobId, taskIds}
+     */
+    async runLoaderJob(kind, tasks, statusCallback = null) {
+        const sessionId = await this.getSessionId();
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/services/loader/${kind}`), {
+            method: 'POST',
+            headers: this.getHeaders(sessionId),
+            body: JSON.stringify(tasks),
+            mode: 'cors'
+        });
+        const data = await this.readVaultResponse(response, `Starting Vault Loader ${kind} job`);
+        
+        const jobId = data.job_id;
+        const taskIds = (data.tasks || []).map(task => task.task_id);
+        Logger.info(`Vault Loader ${kind} job ${jobId} started with ${taskIds.length} tasks`);
+        
+        const status = await this.waitForJob(
+            jobId,
+            statusCallback ? (jobStatus, elapsed) => statusCallback(jobId, jobStatus, elapsed) : null,
+            LOADER_POLL_INTERVAL,
+            LOADER_POLL_ATTEMPTS
+        );
+        
+        // Loads that rejected some rows still finish; their failure logs hold the details
+        if (!['SUCCESS', 'ERRORS_ENCOUNTERED'].includes(status)) {
+            throw new Error(`Vault Loader ${kind} job ${jobId} ended with status ${status}`);
+        }
+        
+        return { jobId, taskIds };
+    },
+    
+    /**
+     * Extract records with a Vault Loader job instead of paging through the query API
+     * @param {string} objectName - Name of the object to extract
+     * @param {Array} fields - Field names to include
+     * @param {string} criteria - Optional VQL conditions, without WHERE
+     * @param {Function} statusCallback - Called with the job ID, status and elapsed milliseconds while the job runs
+     * @returns {Promise<Array>} - Promise resolving to array of records
+     */
+    async loaderExtract(objectName, fields, criteria = '', statusCallback = null) {
+        try {
+            const task = {
+                object_type: 'vobjects__v',
+                object: objectName,
+                fields: fields
+            };
+            if (criteria) {
+                task.vql_criteria__v = criteria;
+            }
+            
+            const { jobId, taskIds } = await this.runLoaderJob('extract', [task], statusCallback);
+            
+            let allData = [];
+            for (const taskId of taskIds) {
+                allData = allData.concat(this.cleanRecords(await this.fetchLoaderTaskFile(jobId, taskId, 'results')));
+            }
+            
+            return allData;
+        } catch (error) {
+            Logger.error(`Failed to extract data: ${error.message}`);
+            throw error;
+        }
+    },
+    
+    /**
+     * Split records into CSV files small enough for a single staging upload
+     * @param {Array} records - Records to write
+     * @returns {Array} - CSV strings
+     */
+    buildLoaderFiles(records) {
+        const files = [];
+        const addFile = chunk => {
+            const csv = this.recordsToCSV(chunk);
+            if (csv.length > MAX_STAGING_FILE_BYTES / 2 && chunk.length > 1) {
+                // Characters outside ASCII take up to two more bytes, so split well before the limit
+                const middle = Math.ceil(chunk.length / 2);
+                addFile(chunk.slice(0, middle));
+                addFile(chunk.slice(middle));
+            } else {
+                files.push(csv);
+            }
+        };
+        
+        for (let i = 0; i < records.length; i += LOADER_FILE_ROWS) {
+            addFile(records.slice(i, i + LOADER_FILE_ROWS));
+        }
+        
+        return files;
+    },
+    
+    /**
+     * Load records with a Vault Loader job: upload CSV files to file staging, run the load and collect its logs
+     * @param {string} objectName - Name of the target object
+     * @param {Array} data - Records to load
+     * @param {string} operation - CRUD operation (insert, update, upsert, delete)
+     * @param {Object} options - Operation options as for pushData; format and deleteMode do not apply
+     * @param {Function} statusCallback - Called with a status message while files upload and the job runs
+     * @returns {Promise<Object>} - {jobId, fileCount, successes, failures} with the rows of the success and failure logs
+     */
+    async loaderLoad(objectName, data, operation, options = {}, statusCallback = null) {
+        try {
+            const action = LOADER_ACTIONS[operation];
+            if (!action) {
+                throw new Error(`${operation} is not supported by Vault Loader`);
+            }
+            
+            // Deletes identify records by id only
+            const records = operation === 'delete' ? data.map(record => ({ id: record.id })) : data;
+            const files = this.buildLoaderFiles(records);
+            
+            await this.createStagingFolder(LOADER_STAGING_FOLDER);
+            
+            const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+            const tasks = [];
+            for (let i = 0; i < files.length; i++) {
+                const path = `${LOADER_STAGING_FOLDER}/${objectName}_${action}_${stamp}_${i + 1}.csv`;
+                if (statusCallback) {
+                    statusCallback(`Uploading file ${i + 1} of ${files.length} to file staging...`);
+                }
+                await this.uploadStagingFile(path, files[i]);
+                
+                const task = {
+                    object_type: 'vobjects__v',
+                    object: objectName,
+                    action: action,
+                    file: path,
+                    order: i + 1
+                };
+                if (operation === 'upsert') {
+                    task.idparam = options.idParam;
+                }
+                if (options.migrationMode) {
+                    task.recordmigrationmode = true;
+                }
+                if (options.noTriggers) {
+                    task.notriggers = true;
+                }
+                tasks.push(task);
+            }
+            
+            const { jobId, taskIds } = await this.runLoaderJob('load', tasks, statusCallback
+                ? (id, status, elapsed) => statusCallback(`Vault Loader job ${id}: ${status} (${Math.round(elapsed / 1000)}s)`)
+                : null);
+            
+            let successes = [];
+            let failures = [];
+            for (const taskId of taskIds) {
+                successes = successes.concat(await this.fetchLoaderTaskFile(jobId, taskId, 'successlog'));
+                failures = failures.concat(await this.fetchLoaderTaskFile(jobId, taskId, 'failurelog'));
+            }
+            
+            return { jobId, fileCount: files.length, successes, failures };
+        } catch (error) {
+            Logger.error(`Failed to load data: ${error.message}`);
+            throw error;
+        }
+    },
+    
+    /**
+     * List the attachments of an object record
+     * @param {string} objectName - Name of the object
+     * @param {string} recordId - Record ID
+     * @returns {Promise<Array>} - Attachments of {id, fileName, version, size, md5}
+     */
+    async fetchAttachments(objectName, recordId) {
+        const sessionId = await this.getSessionId();
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/vobjects/${objectName}/${encodeURIComponent(recordId)}/attachments`), {
+            method: 'GET',
+            headers: this.getHeaders(sessionId),
+            mode: 'cors'
+        });
+        const data = await this.readVaultResponse(response, `Listing attachments of ${recordId}`);
+        
+        return (data.data || []).map(attachment => ({
+            id: attachment.id,
+            fileName: attachment.filename__v,
+            version: attachment.version__v,
+            size: attachment.size__v,
+            md5: attachment.md5checksum__v || ''
+        }));
+    },
+    
+    /**
+     * Download the latest version of an attachment
+     * @param {string} objectName - Name of the object
+     * @param {string} recordId - Record ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<Blob>} - Attachment file
+     */
+    async downloadAttachment(objectName, recordId, attachmentId) {
+        const sessionId = await this.getSessionId();
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/vobjects/${objectName}/${encodeURIComponent(recordId)}/attachments/${attachmentId}/file`), {
+            method: 'GET',
+            headers: {
+                'Accept': '*/*',
+                'Authorization': `Bearer ${sessionId}`
+            },
+            mode: 'cors'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Downloading attachment ${attachmentId} of ${recordId} failed: ${response.status}`);
+        }
+        
+        return response.blob();
+    },
+    
+    /**
+     * Add an attachment to an object record, or a new version when the record already has a file of that name
+     * @param {string} objectName - Name of the object
+     * @param {string} recordId - Record ID
+     * @param {string} fileName - Attachment file name
+     * @param {Blob|Uint8Array} content - File content
+     * @returns {Promise<Object>} - {id, version} of the attachment
+     */
+    async uploadAttachment(objectName, recordId, fileName, content) {
+        const sessionId = await this.getSessionId();
+        const formData = new FormData();
+        formData.append('file', content instanceof Blob ? content : new Blob([content]), fileName);
+        
+        const response = await this.vaultFetch(this.apiEndpoint(`/vobjects/${objectName}/${encodeURIComponent(recordId)}/attachments`), {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Authorization': `Bearer ${sessionId}`
+            },
+            body: formData,
+            mode: 'cors'
+        });
+        const data = await this.readVaultResponse(response, `Uploading ${fileName} to ${recordId}`);
+        
+        return {
+            id: data.data ? data.data.id : '',
+            version: data.data ? data.data.version__v : ''
+        };
+    },
+    
+    /**
+     * Match a write response to the records of the batch that was sent
+     * @param {string} responseText - Raw response body
+     * @param {number} batchLength - Number of records in the batch
+     * @param {number} startIndex - Index of the first batch record in the pushed data
+     * @param {boolean} httpOk - Whether the HTTP status was successful
+     * @returns {Array} - Array of {index, status, id, errorType, errorMessage}
+     */
+    parseRecordResults(responseText, batchLength, startIndex, httpOk) {
+        let response = null;
+        try {
+            response = JSON.parse(responseText);
+        } catch (error) {
+            // Not JSON, fall back to the HTTP status for every record
+        }
+        
+        const formatErrors = (errors) => ({
+            errorType: (errors || []).map(error => error.type).join('; '),
+            errorMessage: (errors || []).map(error => error.message).join('; ')
+        });
+        
+        // Vault returns one entry per record, in the order they were sent
+        const recordResults = response && Array.isArray(response.data) ? response.data : null;
+        const batchErrors = response && response.errors
+            ? formatErrors(response.errors)
+            : { errorType: httpOk ? '' : 'HTTP_ERROR', errorMessage: httpOk ? '' : responseText.substring(0, 500) };
+        
+        const results = [];
+        for (let i = 0; i < batchLength; i++) {
+            const recordResult = recordResults ? recordResults[i] : null;
+            
+            if (recordResult) {
+                const success = recordResult.responseStatus === 'SUCCESS';
+                results.push({
+                    index: startIndex + i,
+                    status: success ? 'Success' : 'Failure',
+                    id: recordResult.data && recordResult.data.id ? recordResult.data.id : (recordResult.id || ''),
+                    ...(success ? { errorType: '', errorMessage: '' } : formatErrors(recordResult.errors))
+                });
+            } else {
+                const success = httpOk && (!response || response.responseStatus !== 'FAILURE');
+                results.push({
+                    index: startIndex + i,
+                    status: success ? 'Success' : 'Failure',
+                    id: '',
+                    errorType: success ? '' : batchErrors.errorType || 'UNKNOWN',
+                    errorMessage: success ? '' : batchErrors.errorMessage || 'No details available'
+                });
+            }
+        }
+        
+        return results;
+    },
+    
     /**
      * Push data to Veeva Vault
      * @param {string} objectName - Name of the target object
      * @param {Array} data - Array of records to push
-     * @param {string} operation - CRUD operation (insert, update, delete, merge)
+     * @param {string} operation - CRUD operation (insert, update, upsert, delete, merge); insert, update and delete for documents
      * @param {number} batchSize - Number of records per batch
      * @param {Function} progressCallback - Callback for progress updates
-     * @returns {Promise<Object>} - Promise resolving to results object
+     * @param {Object} options - Operation options
+     * @param {string} options.idParam - Unique field identifying records for upsert
+     * @param {string} options.format - Request body format, 'json' or 'csv'
+     * @param {boolean} options.migrationMode - Send X-VaultAPI-MigrationMode to bypass entry criteria and default values
+     * @param {boolean} options.noTriggers - Send X-VaultAPI-NoTriggers to skip record triggers
+     * @param {string} options.deleteMode - 'standard' or 'cascade' for delete operations
+     * @returns {Promise<Object>} - Promise resolving to results object with batch logs and per-record results
      */
-    async pushData(objectName, data, operation, batchSize = 200, progressCallback = null) {
+    async pushData(objectName, data, operation, batchSize = 200, progressCallback = null, options = {}) {
+        if (operation === 'delete' && options.deleteMode === 'cascade') {
+            return this.cascadeDeleteRecords(objectName, data, progressCallback, options);
+        }
+        
+        // Documents are written through the batch document endpoints, which only accept CSV
+        const isDocuments = objectName === DOCUMENTS_OBJECT;
+        if (isDocuments && !DOCUMENT_OPERATIONS.includes(operation)) {
+            throw new Error(`${operation} is not supported for documents`);
+        }
+        
         try {
             const sessionId = await this.getSessionId();
-            const headers = this.getHeaders(sessionId);
+            const headers = this.getWriteHeaders(sessionId, options);
+            
+            // Merge only accepts JSON
+            const format = isDocuments ? 'csv' : operation === 'merge' ? 'json' : (options.format || 'json');
             
             // Adjust batch size based on operation
-            const actualBatchSize = operation === 'merge' ? Math.min(batchSize, 10) : Math.min(batchSize, 500);
+            const actualBatchSize = Math.min(batchSize, operation === 'merge' ? MAX_MERGE_BATCH_SIZE : MAX_BATCH_SIZE);
             
             // Prepare batches
             const batches = [];
@@ -309,16 +1836,21 @@ const VeevaAPI = {
                 total: batches.length,
                 success: 0,
                 failures: 0,
-                logs: []
+                logs: [],
+                records: [],
+                recordSuccesses: 0,
+                recordFailures: 0
             };
             
             // Process batches
             for (let i = 0; i < batches.length; i++) {
-                const batch = batches[i];
-                const batchJson = JSON.stringify(batch);
+                // Deletes identify records by id only
+                const batch = operation === 'delete' ? batches[i].map(record => ({ id: record.id })) : batches[i];
+                const startIndex = i * actualBatchSize;
+                let recordResults;
                 
                 try {
-                    let url = this.apiUrl + `/api/v24.1/vobjects/${objectName}`;
+                    let url = this.apiEndpoint(isDocuments ? '/objects/documents/batch' : `/vobjects/${objectName}`);
                     let method = 'POST';
                     
                     // Adjust URL and method based on operation
@@ -329,23 +1861,32 @@ const VeevaAPI = {
                         case 'update':
                             method = 'PUT';
                             break;
+                        case 'upsert':
+                            // Create records, or update those whose idParam field value already exists
+                            url += `?idParam=${encodeURIComponent(options.idParam)}`;
+                            method = 'POST';
+                            break;
                         case 'delete':
                             method = 'DELETE';
                             break;
                         case 'merge':
-                            url = this.apiUrl + `/api/v24.1/vobjects/${objectName}/actions/merge`;
+                            url = this.apiEndpoint(`/vobjects/${objectName}/actions/merge`);
                             method = 'POST';
                             break;
                     }
                     
-                    const response = await fetch(CORS_PROXY + url, {
+                    const response = await this.vaultFetch(url, {
                         method: method,
-                        headers: headers,
-                        body: batchJson,
+                        headers: {
+                            ...headers,
+                            'Content-Type': format === 'csv' ? 'text/csv' : 'application/json'
+                        },
+                        body: format === 'csv' ? this.recordsToCSV(batch) : JSON.stringify(batch),
                         mode: 'cors'
                     });
                     
                     const responseText = await response.text();
+                    recordResults = this.parseRecordResults(responseText, batch.length, startIndex, response.ok);
                     
                     // Log batch result
                     if (response.ok) {
@@ -373,8 +1914,25 @@ const VeevaAPI = {
                         message: `Batch ${i + 1} failed: ${error.message}`,
                         response: error.stack
                     });
+                    
+                    recordResults = batch.map((record, index) => ({
+                        index: startIndex + index,
+                        status: 'Failure',
+                        id: '',
+                        errorType: 'REQUEST_FAILED',
+                        errorMessage: error.message
+                    }));
                 }
                 
+                recordResults.forEach(recordResult => {
+                    if (recordResult.status === 'Success') {
+                        results.recordSuccesses++;
+                    } else {
+                        results.recordFailures++;
+                    }
+                });
+                results.records = results.records.concat(recordResults);
+                
                 // Call progress callback if provided
                 if (progressCallback) {
                     progressCallback(i + 1, batches.length);
@@ -389,67 +1947,87 @@ const VeevaAPI = {
     },
     
     /**
-     * Export metadata (all objects and fields)
+     * Export metadata as a data dictionary of objects, fields, picklists and relationships
      * @param {Function} progressCallback - Callback for progress updates
-     * @returns {Promise<Array>} - Promise resolving to array of object-field pairs
+     * @param {Object} options - Export options
+     * @param {boolean} options.includePicklists - Whether to fetch the values of every picklist used by a field
+     * @returns {Promise<Object>} - Promise resolving to {objects, fields, picklists, relationships} row arrays
      */
-    async exportMetadata(progressCallback = null) {
+    async exportMetadata(progressCallback = null, options = {}) {
+        const { includePicklists = true } = options;
+        
         try {
-            const sessionId = await this.getSessionId();
-            const headers = this.getHeaders(sessionId);
-            
             // First, get all objects
-            const objectsUrl = this.apiUrl + '/api/v24.1/metadata/vobjects';
+            const objects = await this.fetchObjects();
             
-            const objectsResponse = await fetch(CORS_PROXY + objectsUrl, {
-                method: 'GET',
-                headers: headers,
-                mode: 'cors'
-            });
-            
-            if (!objectsResponse.ok) {
-                throw new Error(`Failed to get objects: ${objectsResponse.status}`);
-            }
-            
-            const objectsData = await objectsResponse.json();
-            const objects = objectsData.objects.map(obj => obj.name).sort();
-            
-            // Now get fields for each object
-            const results = [];
+            const results = {
+                objects: [],
+                fields: [],
+                picklists: [],
+                relationships: []
+            };
+            const picklistObjects = {};
             const totalObjects = objects.length;
             
+            // Now get metadata for each object
             for (let i = 0; i < objects.length; i++) {
                 const objectName = objects[i];
                 
                 try {
-                    const fieldsUrl = this.apiUrl + `/api/v24.1/metadata/vobjects/${objectName}`;
+                    const metadata = await this.fetchObjectMetadata(objectName);
                     
-                    const fieldsResponse = await fetch(CORS_PROXY + fieldsUrl, {
-                        method: 'GET',
-                        headers: headers,
-                        mode: 'cors'
+                    results.objects.push({
+                        'Object Name': objectName,
+                        'Label': metadata.label,
+                        'Label Plural': metadata.labelPlural,
+                        'Status': metadata.status,
+                        'Description': metadata.description,
+                        'Field Count': metadata.fields.length
                     });
                     
-                    if (fieldsResponse.ok) {
-                        const fieldData = await fieldsResponse.json();
+                    const fields = metadata.fields.slice().sort((a, b) => a.name.localeCompare(b.name));
+                    fields.forEach(field => {
+                        results.fields.push({
+                            'Object Name': objectName,
+                            'Field Name': field.name,
+                            'Field Label': field.label,
+                            'Field Type': field.type,
+                            'Required': field.required ? 'Yes' : 'No',
+                            'Unique': field.unique ? 'Yes' : 'No',
+                            'Max Length': field.maxLength || '',
+                            'Editable': field.editable ? 'Yes' : 'No',
+                            'System Managed': field.systemManaged ? 'Yes' : 'No',
+                            'Picklist': field.picklist,
+                            'Picklist Values': '',
+                            'Multi-Value': field.multiValue ? 'Yes' : 'No',
+                            'Relationship Object': field.relationshipObject,
+                            'Relationship Name': field.relationshipName
+                        });
                         
-                        if (fieldData.object && fieldData.object.fields) {
-                            const fields = fieldData.object.fields.map(field => field.name).sort();
-                            
-                            // Add each object-field pair to results
-                            fields.forEach(fieldName => {
-                                results.push({
-                                    'Object Name': objectName,
-                                    'Field Name': fieldName
-                                });
-                            });
-                            
-                            Logger.info(`Added ${fields.length} fields for ${objectName}`);
-                        } else {
-                            Logger.warning(`No fields found for ${objectName}`);
+                        // Remember which objects use each picklist
+                        if (field.picklist) {
+                            picklistObjects[field.picklist] = picklistObjects[field.picklist] || [];
+                            if (!picklistObjects[field.picklist].includes(objectName)) {
+                                picklistObjects[field.picklist].push(objectName);
+                            }
                         }
+                    });
+                    
+                    metadata.relationships.forEach(relationship => {
+                        results.relationships.push({
+                            'Object Name': objectName,
+                            'Relationship Name': relationship.name,
+                            'Label': relationship.label,
+                            'Type': relationship.type,
+                            'Field': relationship.field,
+                            'Related Object': relationship.object
+                        });
+                    });
+                    
+                    if (fields.length > 0) {
+                        Logger.info(`Added ${fields.length} fields for ${objectName}`);
                     } else {
-                        Logger.error(`Failed to get fields for ${objectName}: ${fieldsResponse.status}`);
+                        Logger.warning(`No fields found for ${objectName}`);
                     }
                 } catch (error) {
                     Logger.error(`Error processing ${objectName}: ${error.message}`);
@@ -462,6 +2040,35 @@ const VeevaAPI = {
                 }
             }
             
+            if (includePicklists) {
+                const picklistNames = Object.keys(picklistObjects).sort();
+                Logger.info(`Fetching values for ${picklistNames.length} picklists`);
+                
+                for (const picklistName of picklistNames) {
+                    try {
+                        const values = await this.fetchPicklistValues(picklistName);
+                        const valueNames = values.map(value => value.name).join(', ');
+                        
+                        results.fields.forEach(row => {
+                            if (row['Picklist'] === picklistName) {
+                                row['Picklist Values'] = valueNames;
+                            }
+                        });
+                        
+                        values.forEach(value => {
+                            results.picklists.push({
+                                'Picklist Name': picklistName,
+                                'Value Name': value.name,
+                                'Value Label': value.label,
+                                'Used By': picklistObjects[picklistName].join(', ')
+                            });
+                        });
+                    } catch (error) {
+                        // Already logged, continue with next picklist
+                    }
+                }
+            }
+            
             return results;
         } catch (error) {
             Logger.error(`Failed to export metadata: ${error.message}`);
@@ -2,14 +2,45 @@
  * Main application logic for Veeva Vault Manager Web
  */
 
+// Name of the manifest listing the files of an attachments ZIP
+const ATTACHMENT_MANIFEST_NAME = 'manifest.csv';
+
+// Shortest master passphrase accepted for encrypting saved passwords
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Banner colors of connection profile color tags
+const PROFILE_COLORS = {
+    green: '#388e3c',
+    blue: '#1976d2',
+    orange: '#ef6c00',
+    red: '#d32f2f',
+    grey: '#616161'
+};
+
+// Columns of picklist export files, which are also accepted by picklist loads
+const PICKLIST_COLUMNS = ['picklist', 'picklist_label', 'value_name', 'value_label', 'status', 'order'];
+
 // Global state
 const AppState = {
     currentOperation: 'pull',
     crudOperation: 'insert',
     vaultObjects: [],
     availableFields: [],
+    fieldMetadata: {},
+    relationships: [],
+    selectedFields: [],
     inputFileData: null,
+    excludedRows: new Set(),
     columnMappings: {},
+    mappingMatches: {},
+    fieldLookups: {},
+    columnTransforms: {},
+    computedFields: [],
+    documentFiles: {},
+    pushResults: null,
+    validationResults: null,
+    picklistChanges: null,
+    passphraseRequest: null,
     operationInProgress: false,
     
     // Update the operation
@@ -27,6 +58,22 @@ const AppState = {
     // Set the input file data
     setInputFileData(data) {
         this.inputFileData = data;
+        this.excludedRows = new Set();
+    },
+    
+    // Exclude a row of the input file from pushes, or include it again
+    setRowExcluded(index, excluded) {
+        if (excluded) {
+            this.excludedRows.add(index);
+        } else {
+            this.excludedRows.delete(index);
+        }
+    },
+    
+    // Get the indices of input rows that are not excluded
+    getIncludedRowIndices() {
+        if (!this.inputFileData) return [];
+        return this.inputFileData.data.map((row, index) => index).filter(index => !this.excludedRows.has(index));
     },
     
     // Set the vault objects
@@ -38,6 +85,33 @@ const AppState = {
     // Set the available fields
     setAvailableFields(fields) {
         this.availableFields = fields;
+        updateFieldDatalist();
+    },
+    
+    // Set the relationships of the selected object
+    setRelationships(relationships) {
+        this.relationships = relationships;
+    },
+    
+    // Set fields, field metadata and relationships from object metadata
+    setObjectMetadata(metadata) {
+        this.fieldMetadata = {};
+        metadata.fields.forEach(field => {
+            this.fieldMetadata[field.name] = field;
+        });
+        this.setRelationships(metadata.relationships);
+        this.setAvailableFields(metadata.fields.map(field => field.name));
+        updateUpsertKeyFields();
+    },
+    
+    // Get metadata for a field of the selected object
+    getFieldMetadata(fieldName) {
+        return this.fieldMetadata[fieldName] || null;
+    },
+    
+    // Set the fields to include in pulls, in output order
+    setSelectedFields(fields) {
+        this.selectedFields = fields;
     },
     
     // Set a column mapping
@@ -45,9 +119,88 @@ const AppState = {
         this.columnMappings[fileColumn] = vaultField;
     },
     
+    // Record how an auto-mapped column was matched, or forget it after a manual change
+    setMappingMatch(fileColumn, match) {
+        if (match) {
+            this.mappingMatches[fileColumn] = match;
+        } else {
+            delete this.mappingMatches[fileColumn];
+        }
+    },
+    
+    // Set the per-record results of the last push
+    setPushResults(results) {
+        this.pushResults = results;
+        updatePushResults();
+    },
+    
+    // Set the issues found by the last dry run
+    setValidationResults(results) {
+        this.validationResults = results;
+        updateValidationResults();
+    },
+    
+    // Set the picklist changes read from a load file, with their results once applied
+    setPicklistChanges(changes) {
+        this.picklistChanges = changes;
+        updatePicklistChanges();
+    },
+    
     // Clear all column mappings
     clearColumnMappings() {
         this.columnMappings = {};
+        this.mappingMatches = {};
+        this.fieldLookups = {};
+    },
+    
+    // Resolve a reference field by another field of the referenced object, or by Vault id when blank
+    setFieldLookup(vaultField, keyField) {
+        if (keyField) {
+            this.fieldLookups[vaultField] = keyField;
+        } else {
+            delete this.fieldLookups[vaultField];
+        }
+    },
+    
+    // Set the expression applied to a mapped column, or remove it when blank
+    setColumnTransform(fileColumn, expression) {
+        if (expression) {
+            this.columnTransforms[fileColumn] = expression;
+        } else {
+            delete this.columnTransforms[fileColumn];
+        }
+    },
+    
+    // Add a Vault field filled from an expression instead of a file column
+    addComputedField() {
+        this.computedFields.push({ field: '', expression: '' });
+    },
+    
+    // Update the field or expression of a computed field
+    setComputedField(index, changes) {
+        Object.assign(this.computedFields[index], changes);
+    },
+    
+    // Remove a computed field
+    removeComputedField(index) {
+        this.computedFields.splice(index, 1);
+    },
+    
+    // Set the files available for creating documents, keyed by file name and by path within the selected folder
+    setDocumentFiles(files) {
+        this.documentFiles = {};
+        files.forEach(file => {
+            this.documentFiles[file.name] = file;
+            if (file.webkitRelativePath) {
+                this.documentFiles[file.webkitRelativePath.split('/').slice(1).join('/')] = file;
+            }
+        });
+    },
+    
+    // Clear column transforms and computed fields
+    clearTransforms() {
+        this.columnTransforms = {};
+        this.computedFields = [];
     },
     
     // Reset the state
@@ -60,12 +213,25 @@ const AppState = {
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', () => {
-    // Load saved configuration
+    // In the SSO sign-in window this page only passes the identity provider's answer back and closes
+    if (OAuthClient.handleRedirect()) return;
+    
+    // Load connection profiles, then the saved configuration which selects one of them
+    updateProfileSwitcher();
     loadSavedConfig();
     
+    // Saved passwords start locked; the key from an earlier page load is never kept
+    updateCredentialButtons();
+    
     // Set up event listeners
     setupEventListeners();
     
+    // Passwords earlier versions saved in plain text are encrypted, or deleted, before anything else uses them
+    migratePlaintextPasswords();
+    
+    // End the Vault session when the page is closed instead of leaving it open until it times out
+    window.addEventListener('pagehide', () => VeevaAPI.releaseSession(true));
+    
     // Update UI for initial operation
     updateUIForOperation();
     
@@ -93,21 +259,103 @@ function setupEventListeners() {
     
     // Test connection button
     document.getElementById('testConnectionBtn').addEventListener('click', testConnection);
+    document.getElementById('logoutBtn').addEventListener('click', logoutFromVault);
+    
+    // Sign-in method
+    document.querySelectorAll('input[name="authMethod"]').forEach(radio => {
+        radio.addEventListener('change', updateAuthMethod);
+    });
+    document.getElementById('ssoSignInBtn').addEventListener('click', signInWithSso);
+    document.getElementById('useSessionBtn').addEventListener('click', useSessionId);
+    document.getElementById('oauthRedirectUri').value = OAuthClient.getRedirectUri();
+    document.getElementById('detectVersionBtn').addEventListener('click', detectApiVersion);
+    
+    // Connection profiles
+    document.getElementById('profileSwitcher').addEventListener('change', switchConnectionProfile);
+    document.getElementById('saveProfileBtn').addEventListener('click', saveConnectionProfile);
+    document.getElementById('deleteProfileBtn').addEventListener('click', deleteConnectionProfile);
+    document.getElementById('apiUrl').addEventListener('input', updateEnvironmentBanner);
+    
+    // Saved password encryption
+    document.getElementById('unlockPasswordsBtn').addEventListener('click', toggleCredentialLock);
+    document.getElementById('submitPassphraseBtn').addEventListener('click', submitPassphrase);
+    document.getElementById('cancelPassphraseBtn').addEventListener('click', () => finishPassphraseRequest(false));
+    document.getElementById('forgetPasswordsBtn').addEventListener('click', forgetSavedPasswords);
+    document.getElementById('masterPassphrase').addEventListener('keydown', event => {
+        if (event.key === 'Enter') submitPassphrase();
+    });
     
     // Fetch objects buttons
     document.getElementById('fetchObjectsBtn').addEventListener('click', fetchVaultObjects);
     document.getElementById('fetchObjectsBtn2').addEventListener('click', fetchVaultObjects);
+    document.getElementById('fetchObjectsBtn3').addEventListener('click', fetchVaultObjects);
     
     // Object selection
     document.getElementById('pullObjectCombo').addEventListener('change', onObjectSelected);
     document.getElementById('pushObjectCombo').addEventListener('change', onObjectSelected);
+    document.getElementById('attachmentObjectCombo').addEventListener('change', onObjectSelected);
+    
+    // Attachment direction radio buttons
+    document.querySelectorAll('input[name="attachmentMode"]').forEach(radio => {
+        radio.addEventListener('change', updateAttachmentMode);
+    });
+    
+    // Picklist direction radio buttons and load preview
+    document.querySelectorAll('input[name="picklistMode"]').forEach(radio => {
+        radio.addEventListener('change', updatePicklistMode);
+    });
+    document.getElementById('previewPicklistBtn').addEventListener('click', previewPicklistChanges);
+    
+    // Field picker
+    document.getElementById('fieldSearch').addEventListener('input', filterFieldPicker);
+    document.getElementById('selectAllFieldsBtn').addEventListener('click', () => setVisibleFieldsChecked(true));
+    document.getElementById('selectNoFieldsBtn').addEventListener('click', () => setVisibleFieldsChecked(false));
+    document.getElementById('fieldPickerList').addEventListener('dragover', onFieldDragOver);
+    document.getElementById('addRelatedFieldsBtn').addEventListener('click', addRelatedFields);
+    
+    // Pull mode radio buttons
+    document.querySelectorAll('input[name="pullMode"]').forEach(radio => {
+        radio.addEventListener('change', updatePullMode);
+    });
+    
+    // VQL query builder buttons
+    document.getElementById('addFilterBtn').addEventListener('click', () => addFilterRow());
+    document.getElementById('showVqlBtn').addEventListener('click', showGeneratedVql);
     
     // Input file
     document.getElementById('inputFile').addEventListener('change', handleFileUpload);
+    document.getElementById('documentFiles').addEventListener('change', handleDocumentFilesSelected);
     
     // Column mapping buttons
     document.getElementById('autoMapBtn').addEventListener('click', autoMapColumns);
     document.getElementById('clearMapBtn').addEventListener('click', clearMappings);
+    document.getElementById('addComputedFieldBtn').addEventListener('click', () => {
+        AppState.addComputedField();
+        populateMappingTable();
+    });
+    
+    // Mapping templates
+    document.getElementById('applyTemplateBtn').addEventListener('click', applySelectedTemplate);
+    document.getElementById('saveTemplateBtn').addEventListener('click', saveMappingTemplate);
+    document.getElementById('deleteTemplateBtn').addEventListener('click', deleteSelectedTemplate);
+    document.getElementById('exportTemplatesBtn').addEventListener('click', exportMappingTemplates);
+    document.getElementById('templateFile').addEventListener('change', handleTemplateImport);
+    
+    // Data preview grid
+    document.getElementById('gridFilter').addEventListener('input', () => PreviewGrid.applyFilter());
+    document.getElementById('gridShowMode').addEventListener('change', () => PreviewGrid.applyFilter());
+    document.getElementById('gridPrevBtn').addEventListener('click', () => PreviewGrid.changePage(-1));
+    document.getElementById('gridNextBtn').addEventListener('click', () => PreviewGrid.changePage(1));
+    
+    // Validation report
+    document.getElementById('downloadValidationBtn').addEventListener('click', downloadValidationReport);
+    
+    // Push result files
+    document.getElementById('downloadSuccessBtn').addEventListener('click', () => downloadPushResultFile('Success'));
+    document.getElementById('downloadErrorBtn').addEventListener('click', () => downloadPushResultFile('Failure'));
+    document.getElementById('retryFailuresBtn').addEventListener('click', retryFailedRecords);
+    document.getElementById('editFailuresBtn').addEventListener('click', toggleFailedRowsEditor);
+    document.getElementById('correctedFile').addEventListener('change', handleCorrectedFileUpload);
     
     // Execute button
     document.getElementById('executeBtn').addEventListener('click', executeOperation);
@@ -146,7 +394,9 @@ function setupEventListeners() {
     
     // Close modals when clicking outside
     window.addEventListener('click', function(event) {
-        if (event.target.classList.contains('modal')) {
+        if (event.target.id === 'passphraseModal') {
+            finishPassphraseRequest(false);
+        } else if (event.target.classList.contains('modal')) {
             UIUtils.hideModal(event.target.id);
         }
     });
@@ -162,9 +412,13 @@ function updateUIForOperation() {
     document.getElementById('pullConfig').classList.add('hidden');
     document.getElementById('pushConfig').classList.add('hidden');
     document.getElementById('metadataConfig').classList.add('hidden');
+    document.getElementById('attachmentsConfig').classList.add('hidden');
+    document.getElementById('picklistsConfig').classList.add('hidden');
+    document.getElementById('picklistDiffSection').classList.add('hidden');
     document.getElementById('crudOperations').classList.add('hidden');
     document.getElementById('batchSizeSection').classList.add('hidden');
-    document.getElementById('mappingSection').style.display = 'none';
+    document.getElementById('mappingSection').classList.add('hidden');
+    document.getElementById('previewSection').classList.add('hidden');
     
     // Show relevant sections based on operation
     if (operation === 'pull') {
@@ -174,9 +428,13 @@ function updateUIForOperation() {
         document.getElementById('crudOperations').classList.remove('hidden');
         document.getElementById('batchSizeSection').classList.remove('hidden');
         
+        if (AppState.inputFileData) {
+            document.getElementById('previewSection').classList.remove('hidden');
+        }
+        
         // Show mapping section for non-merge operations
         if (AppState.crudOperation !== 'merge' && AppState.inputFileData) {
-            document.getElementById('mappingSection').style.display = 'block';
+            document.getElementById('mappingSection').classList.remove('hidden');
         }
     } else if (operation === 'metadata') {
         document.getElementById('metadataConfig').classList.remove('hidden');
@@ -185,8 +443,14 @@ function updateUIForOperation() {
         const metadataFileInput = document.getElementById('metadataFile');
         if (!metadataFileInput.value) {
             const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-            metadataFileInput.value = `veeva_vault_objects_fields_${today}.csv`;
+            const metadataFormat = document.querySelector('input[name="metadataFormat"]:checked').value;
+            metadataFileInput.value = `veeva_vault_objects_fields_${today}${metadataFormat === 'excel' ? '.xlsx' : '.csv'}`;
         }
+    } else if (operation === 'attachments') {
+        document.getElementById('attachmentsConfig').classList.remove('hidden');
+    } else if (operation === 'picklists') {
+        document.getElementById('picklistsConfig').classList.remove('hidden');
+        UIUtils.toggleClass('picklistDiffSection', 'hidden', !AppState.picklistChanges);
     }
     
     Logger.info(`Operation changed to: ${operation}`);
@@ -203,32 +467,78 @@ function updateCrudOperation() {
     const batchSizeInfo = document.getElementById('batchSizeInfo');
     
     if (operation === 'merge') {
-        // Max 10 for merge
         const currentValue = parseInt(batchSizeInput.value);
-        batchSizeInput.max = 10;
-        batchSizeInput.value = Math.min(currentValue, 10);
-        batchSizeInfo.textContent = '(Max batch size: 10 for Merge)';
+        batchSizeInput.max = MAX_MERGE_BATCH_SIZE;
+        batchSizeInput.value = Math.min(currentValue, MAX_MERGE_BATCH_SIZE);
+        batchSizeInfo.textContent = `(Max batch size: ${MAX_MERGE_BATCH_SIZE} for Merge)`;
         
         // Hide mapping section for merge
-        document.getElementById('mappingSection').style.display = 'none';
+        document.getElementById('mappingSection').classList.add('hidden');
         Logger.info('Merge operation selected. Column mapping not required.');
     } else {
-        // Max 500 for other operations
-        batchSizeInput.max = 500;
-        if (parseInt(batchSizeInput.value) <= 10) {
-            batchSizeInput.value = 200; // Reset to default if coming from merge
+        batchSizeInput.max = MAX_BATCH_SIZE;
+        if (parseInt(batchSizeInput.value) <= MAX_MERGE_BATCH_SIZE) {
+            batchSizeInput.value = MAX_BATCH_SIZE; // Reset to default if coming from merge
         }
-        batchSizeInfo.textContent = '(Default: 200 for Insert/Update)';
+        batchSizeInfo.textContent = `(Max batch size: ${MAX_BATCH_SIZE} for Insert/Update/Upsert/Delete)`;
         
         // Show mapping section if we have file data
         if (AppState.inputFileData) {
-            document.getElementById('mappingSection').style.display = 'block';
+            document.getElementById('mappingSection').classList.remove('hidden');
         }
     }
     
+    UIUtils.toggleClass('upsertKeySection', 'hidden', operation !== 'upsert');
+    UIUtils.toggleClass('deleteOptions', 'hidden', operation !== 'delete');
+    
     Logger.info(`CRUD operation changed to: ${operation}`);
 }
 
+/**
+ * Get the request options for a push from the form
+ * @param {string} crudOperation - CRUD operation
+ * @returns {Object} - Options for VeevaAPI.pushData
+ */
+function getPushOptions(crudOperation) {
+    return {
+        idParam: crudOperation === 'upsert' ? document.getElementById('upsertKeyField').value : null,
+        format: document.getElementById('requestFormat').value,
+        migrationMode: document.getElementById('migrationMode').checked,
+        noTriggers: document.getElementById('noTriggers').checked,
+        deleteMode: crudOperation === 'delete' ? document.getElementById('deleteMode').value : 'standard'
+    };
+}
+
+/**
+ * Fill the upsert key dropdown with the unique fields of the selected object
+ */
+function updateUpsertKeyFields() {
+    const select = document.getElementById('upsertKeyField');
+    const currentValue = select.value;
+    
+    const keyFields = AppState.availableFields
+        .map(field => AppState.getFieldMetadata(field))
+        .filter(metadata => metadata && metadata.unique && metadata.name !== 'id');
+    
+    select.innerHTML = '<option value="">- Select Key Field -</option>';
+    keyFields.forEach(metadata => {
+        const option = document.createElement('option');
+        option.value = metadata.name;
+        option.textContent = `${metadata.label} (${metadata.name})`;
+        select.appendChild(option);
+    });
+    
+    // Keep the previous choice when it still exists, otherwise prefer the external id
+    const names = keyFields.map(metadata => metadata.name);
+    if (names.includes(currentValue)) {
+        select.value = currentValue;
+    } else if (names.includes('external_id__v')) {
+        select.value = 'external_id__v';
+    } else if (names.length === 1) {
+        select.value = names[0];
+    }
+}
+
 /**
  * Validate batch size input
  */
@@ -239,7 +549,7 @@ function validateBatchSize() {
     if (isNaN(value) || value < 1) {
         batchSizeInput.value = 1;
     } else {
-        const maxAllowed = AppState.crudOperation === 'merge' ? 10 : 2000;
+        const maxAllowed = AppState.crudOperation === 'merge' ? MAX_MERGE_BATCH_SIZE : MAX_BATCH_SIZE;
         if (value > maxAllowed) {
             batchSizeInput.value = maxAllowed;
         }
@@ -251,15 +561,7 @@ function validateBatchSize() {
  */
 async function testConnection() {
     try {
-        // Get connection details
-        const apiUrl = document.getElementById('apiUrl').value;
-        const username = document.getElementById('username').value;
-        const password = document.getElementById('password').value;
-        const verifySSL = document.getElementById('verifySSL').checked;
-        
-        // Validate inputs
-        if (!apiUrl || !username || !password) {
-            UIUtils.showNotification('Please provide Veeva Vault API URL, username, and password', 'error');
+        if (!initializeAPIFromForm()) {
             return;
         }
         
@@ -267,9 +569,6 @@ async function testConnection() {
         UIUtils.updateStatus('Testing connection...');
         UIUtils.updateProgress(50);
         
-        // Initialize API
-        VeevaAPI.init(apiUrl, username, password, verifySSL);
-        
         // Test connection
         const success = await VeevaAPI.testConnection();
         
@@ -291,20 +590,188 @@ async function testConnection() {
     }
 }
 
+/**
+ * Get the sign-in method selected in the connection form
+ * @returns {string} - 'password', 'sso' or 'session'
+ */
+function getAuthMethod() {
+    return document.querySelector('input[name="authMethod"]:checked').value;
+}
+
+/**
+ * Show the connection fields of the selected sign-in method
+ */
+function updateAuthMethod() {
+    const method = getAuthMethod();
+    document.querySelectorAll('.auth-option').forEach(element => {
+        element.classList.toggle('hidden', !element.classList.contains(`auth-${method}`));
+    });
+}
+
+/**
+ * Read the SSO settings from the connection form
+ * @returns {Object} - {issuer, clientId, scope, profileId, sessionUrl}; a blank sessionUrl uses VAULT_OAUTH_SESSION_URL
+ */
+function getSsoSettings() {
+    return {
+        issuer: document.getElementById('oauthIssuer').value.trim(),
+        clientId: document.getElementById('oauthClientId').value.trim(),
+        scope: document.getElementById('oauthScope').value.trim() || 'openid',
+        profileId: document.getElementById('oauthProfileId').value.trim(),
+        sessionUrl: document.getElementById('oauthSessionUrl').value.trim()
+    };
+}
+
+/**
+ * Fill the sign-in method and SSO settings of a saved connection into the connection form
+ * @param {Object} connection - Saved configuration connection or connection profile
+ */
+function fillSignInSettings(connection) {
+    const method = connection.authMethod || 'password';
+    document.querySelector(`input[name="authMethod"][value="${method}"]`).checked = true;
+    
+    const sso = connection.sso || {};
+    document.getElementById('oauthIssuer').value = sso.issuer || '';
+    document.getElementById('oauthClientId').value = sso.clientId || '';
+    document.getElementById('oauthScope').value = sso.scope || 'openid';
+    document.getElementById('oauthProfileId').value = sso.profileId || '';
+    document.getElementById('oauthSessionUrl').value = sso.sessionUrl || '';
+    updateAuthMethod();
+}
+
+/**
+ * Sign in at the identity provider and exchange its token for a Vault session
+ */
+async function signInWithSso() {
+    const apiUrl = document.getElementById('apiUrl').value;
+    const settings = getSsoSettings();
+    
+    if (!apiUrl.trim() || !settings.issuer || !settings.clientId || !settings.profileId) {
+        UIUtils.showNotification('Please provide the Veeva Vault API URL, identity provider URL, client ID and Vault OAuth profile ID', 'error');
+        return;
+    }
+    
+    try {
+        UIUtils.updateStatus('Signing in with SSO...');
+        UIUtils.updateProgress(50);
+        
+        VeevaAPI.init(apiUrl, '', '', document.getElementById('verifySSL').checked, getConnectionOptions());
+        const token = await OAuthClient.signIn(settings);
+        await VeevaAPI.startOAuthSession(token);
+        
+        UIUtils.showNotification('Signed in to Veeva Vault with SSO', 'success');
+        UIUtils.updateStatus('Connected');
+        Logger.success(`Signed in to ${apiUrl} with SSO through OAuth profile ${settings.profileId}`);
+    } catch (error) {
+        UIUtils.showNotification(`SSO sign-in failed: ${error.message}`, 'error');
+        UIUtils.updateStatus('Connection failed');
+        Logger.error(`SSO sign-in failed: ${error.message}`);
+    } finally {
+        UIUtils.updateProgress(0);
+    }
+}
+
+/**
+ * Connect with a session ID pasted into the connection form
+ */
+async function useSessionId() {
+    const apiUrl = document.getElementById('apiUrl').value;
+    const sessionInput = document.getElementById('sessionIdInput');
+    const sessionId = sessionInput.value.trim();
+    
+    if (!apiUrl.trim() || !sessionId) {
+        UIUtils.showNotification('Please provide the Veeva Vault API URL and a session ID', 'error');
+        return;
+    }
+    
+    try {
+        UIUtils.updateStatus('Checking session...');
+        UIUtils.updateProgress(50);
+        
+        VeevaAPI.init(apiUrl, '', '', document.getElementById('verifySSL').checked, getConnectionOptions());
+        const valid = await VeevaAPI.useSession(sessionId);
+        sessionInput.value = '';
+        
+        if (valid) {
+            UIUtils.showNotification('Connected to Veeva Vault with the session ID', 'success');
+            UIUtils.updateStatus('Connected');
+            Logger.success(`Using a pasted session ID for ${apiUrl}`);
+        } else {
+            UIUtils.showNotification('Vault did not accept the session ID; it may have expired', 'error');
+            UIUtils.updateStatus('Connection failed');
+            Logger.error('The pasted session ID is not valid');
+        }
+    } catch (error) {
+        UIUtils.showNotification(`Session check failed: ${error.message}`, 'error');
+        UIUtils.updateStatus('Connection failed');
+        Logger.error(`Session check failed: ${error.message}`);
+    } finally {
+        UIUtils.updateProgress(0);
+    }
+}
+
+/**
+ * End the Vault session; the next request signs in again
+ */
+async function logoutFromVault() {
+    if (await VeevaAPI.logout()) {
+        UIUtils.showNotification('Logged out of Veeva Vault', 'success');
+        Logger.info('Vault session ended');
+    } else {
+        UIUtils.showNotification('No open Vault session', 'info');
+    }
+    UIUtils.updateStatus('Logged out');
+}
+
+/**
+ * Ask the Vault for its supported API versions, offer them in the version field and select the latest
+ */
+async function detectApiVersion() {
+    try {
+        if (!initializeAPIFromForm()) {
+            return;
+        }
+        
+        UIUtils.updateStatus('Detecting API versions...');
+        UIUtils.updateProgress(50);
+        
+        const versions = await VeevaAPI.fetchApiVersions();
+        if (versions.length === 0) {
+            throw new Error('The Vault did not list any API versions');
+        }
+        
+        const datalist = document.getElementById('apiVersionList');
+        datalist.innerHTML = '';
+        versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            datalist.appendChild(option);
+        });
+        
+        const previousVersion = getApiVersion();
+        document.getElementById('apiVersion').value = versions[0];
+        
+        const message = versions[0] === previousVersion
+            ? `Already using the latest API version ${versions[0]}`
+            : `Switched from API version ${previousVersion} to the latest, ${versions[0]}`;
+        UIUtils.showNotification(message, 'success');
+        UIUtils.updateStatus('Connected');
+        Logger.success(`${message}. Supported versions: ${versions.join(', ')}`);
+    } catch (error) {
+        UIUtils.showNotification(`Version detection failed: ${error.message}`, 'error');
+        UIUtils.updateStatus('Connection failed');
+        Logger.error(`Version detection failed: ${error.message}`);
+    } finally {
+        UIUtils.updateProgress(0);
+    }
+}
+
 /**
  * Fetch available Vault objects
  */
 async function fetchVaultObjects() {
     try {
-        // Get connection details
-        const apiUrl = document.getElementById('apiUrl').value;
-        const username = document.getElementById('username').value;
-        const password = document.getElementById('password').value;
-        const verifySSL = document.getElementById('verifySSL').checked;
-        
-        // Validate inputs
-        if (!apiUrl || !username || !password) {
-            UIUtils.showNotification('Please provide Veeva Vault API URL, username, and password', 'error');
+        if (!initializeAPIFromForm()) {
             return;
         }
         
@@ -312,9 +779,6 @@ async function fetchVaultObjects() {
         UIUtils.updateStatus('Connecting to Vault...');
         UIUtils.updateProgress(30);
         
-        // Initialize API
-        VeevaAPI.init(apiUrl, username, password, verifySSL);
-        
         // Fetch objects
         const objects = await VeevaAPI.fetchObjects();
         
@@ -342,7 +806,8 @@ function updateObjectDropdowns() {
     const datalist = document.getElementById('vaultObjects');
     datalist.innerHTML = '';
     
-    objects.forEach(obj => {
+    // Documents are not a vobject but can be pulled and pushed like one
+    [DOCUMENTS_OBJECT].concat(objects).forEach(obj => {
         const option = document.createElement('option');
         option.value = obj;
         datalist.appendChild(option);
@@ -352,79 +817,454 @@ function updateObjectDropdowns() {
 }
 
 /**
- * Handle object selection
+ * Update the field suggestions used by the query builder
  */
-async function onObjectSelected() {
-    const operation = AppState.currentOperation;
+function updateFieldDatalist() {
+    const datalist = document.getElementById('vaultFieldsList');
+    datalist.innerHTML = '';
     
-    // Get selected object
-    const selectedObject = operation === 'pull' 
-        ? document.getElementById('pullObjectCombo').value 
-        : document.getElementById('pushObjectCombo').value;
+    AppState.availableFields.forEach(field => {
+        const option = document.createElement('option');
+        option.value = field;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Populate the pull field picker for an object, restoring any saved selection
+ * @param {string} objectName - Name of the selected object
+ */
+function populateFieldPicker(objectName) {
+    const fields = getQueryableFields();
+    const relationshipNames = AppState.relationships.map(relationship => relationship.name);
     
-    if (!selectedObject) return;
+    // Related fields are kept as long as their relationship still exists
+    const storedSelection = ConfigStorage.loadFieldSelection(objectName);
+    const savedSelection = (storedSelection || []).filter(field => {
+        return fields.includes(field) || relationshipNames.includes(field.split('.')[0]);
+    });
+    
+    // Every field is selected until a selection is saved, or when none of the saved fields exist any more;
+    // a picker the user cleared stays cleared
+    const cleared = storedSelection !== null && storedSelection.length === 0;
+    const selected = savedSelection.length > 0 || cleared ? savedSelection : fields;
+    
+    // Saved fields keep their order at the top, the rest follow in metadata order
+    const ordered = selected.concat(fields.filter(field => !selected.includes(field)));
+    
+    const list = document.getElementById('fieldPickerList');
+    list.innerHTML = '';
+    
+    ordered.forEach(field => {
+        list.appendChild(createFieldPickerItem(field, selected.includes(field)));
+    });
+    
+    // Offer the object's relationships for related fields
+    const relationshipSelect = document.getElementById('relationshipSelect');
+    relationshipSelect.innerHTML = '';
+    AppState.relationships.forEach(relationship => {
+        const option = document.createElement('option');
+        option.value = relationship.name;
+        option.textContent = `${relationship.name} → ${relationship.object} (${relationship.type})`;
+        relationshipSelect.appendChild(option);
+    });
+    UIUtils.toggleClass('addRelatedFieldsBtn', 'hidden', AppState.relationships.length === 0);
+    UIUtils.toggleClass('relationshipSelect', 'hidden', AppState.relationships.length === 0);
+    
+    document.getElementById('fieldSearch').value = '';
+    UIUtils.toggleClass('fieldPicker', 'hidden', false);
+    updateSelectedFields();
+}
+
+/**
+ * Create a draggable field picker item
+ * @param {string} field - Field name
+ * @param {boolean} checked - Whether the field is selected
+ * @returns {HTMLElement} - Picker item element
+ */
+function createFieldPickerItem(field, checked, metadata = AppState.getFieldMetadata(field)) {
+    const item = document.createElement('label');
+    item.className = 'field-picker-item';
+    item.draggable = true;
+    item.dataset.field = field;
+    item.dataset.label = metadata ? metadata.label : '';
+    
+    const grip = document.createElement('i');
+    grip.className = 'fas fa-grip-vertical';
+    item.appendChild(grip);
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', updateSelectedFields);
+    item.appendChild(checkbox);
+    
+    item.appendChild(document.createTextNode(field));
+    
+    if (metadata) {
+        const details = document.createElement('span');
+        details.className = 'field-details';
+        details.textContent = `${metadata.label} · ${metadata.type}${metadata.required ? ' · required' : ''}`;
+        item.appendChild(details);
+    }
+    
+    item.addEventListener('dragstart', () => item.classList.add('dragging'));
+    item.addEventListener('dragend', () => {
+        item.classList.remove('dragging');
+        updateSelectedFields();
+    });
+    
+    return item;
+}
+
+/**
+ * Add the fields of the selected related object to the field picker
+ */
+async function addRelatedFields() {
+    const relationshipName = document.getElementById('relationshipSelect').value;
+    const relationship = AppState.relationships.find(rel => rel.name === relationshipName);
+    if (!relationship) return;
     
     try {
-        // Update UI
-        UIUtils.updateStatus('Fetching fields...');
-        UIUtils.updateProgress(30);
-        
-        // Fetch fields for the selected object
-        const fields = await VeevaAPI.fetchObjectFields(selectedObject);
+        UIUtils.updateStatus('Fetching related fields...');
         
-        // Store fields in state
-        AppState.setAvailableFields(fields);
+        const relatedMetadata = await VeevaAPI.fetchObjectMetadata(relationship.object);
+        const list = document.getElementById('fieldPickerList');
+        const existing = [...list.querySelectorAll('.field-picker-item')].map(item => item.dataset.field);
         
-        // Set default output filename for pull operation
-        if (operation === 'pull') {
-            const outputFormat = document.querySelector('input[name="outputFormat"]:checked').value;
-            const ext = outputFormat === 'csv' ? '.csv' : '.xlsx';
-            document.getElementById('outputFile').value = `${selectedObject}${ext}`;
-        }
+        let added = 0;
+        relatedMetadata.fields.forEach(field => {
+            const columnName = `${relationship.name}.${field.name}`;
+            if (!existing.includes(columnName)) {
+                list.appendChild(createFieldPickerItem(columnName, false, field));
+                added++;
+            }
+        });
         
-        // Auto-map columns if we have input file data
-        if (operation === 'push' && AppState.inputFileData) {
-            autoMapColumns();
-        }
+        filterFieldPicker();
+        updateSelectedFields();
         
         UIUtils.updateStatus('Fields loaded');
-        Logger.info(`Loaded ${fields.length} fields for ${selectedObject}`);
+        Logger.info(`Added ${added} related fields from ${relationship.name}`);
     } catch (error) {
-        UIUtils.showNotification(`Failed to fetch fields: ${error.message}`, 'error');
+        UIUtils.showNotification(`Failed to fetch related fields: ${error.message}`, 'error');
         UIUtils.updateStatus('Error');
-        Logger.error(`Failed to fetch fields: ${error.message}`);
-    } finally {
-        UIUtils.updateProgress(0);
     }
 }
 
 /**
- * Handle file upload
+ * Get the names of inbound relationships of the selected object
+ * @returns {Array} - Relationship names
  */
-async function handleFileUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function getInboundRelationships() {
+    return AppState.relationships
+        .filter(relationship => relationship.type === 'inbound')
+        .map(relationship => relationship.name);
+}
+
+/**
+ * Store the checked fields in picker order and remember them for the object
+ */
+function updateSelectedFields() {
+    const items = document.querySelectorAll('#fieldPickerList .field-picker-item');
+    const selected = [];
+    items.forEach(item => {
+        if (item.querySelector('input').checked) {
+            selected.push(item.dataset.field);
+        }
+    });
     
-    try {
-        // Update UI
-        document.getElementById('fileName').textContent = file.name;
-        UIUtils.updateStatus('Loading file...');
-        UIUtils.updateProgress(30);
-        
-        // Read file
-        const fileData = await FileUtils.readFile(file);
-        
-        // Store file data in state
-        AppState.setInputFileData(fileData);
+    AppState.setSelectedFields(selected);
+    document.getElementById('fieldCount').textContent = `(${selected.length} of ${items.length} selected)`;
+    
+    const selectedObject = document.getElementById('pullObjectCombo').value;
+    if (selectedObject) {
+        ConfigStorage.saveFieldSelection(selectedObject, selected);
+    }
+}
+
+/**
+ * Hide picker items that do not match the search text
+ */
+function filterFieldPicker() {
+    const searchText = document.getElementById('fieldSearch').value.trim().toLowerCase();
+    document.querySelectorAll('#fieldPickerList .field-picker-item').forEach(item => {
+        const matches = item.dataset.field.toLowerCase().includes(searchText) ||
+            item.dataset.label.toLowerCase().includes(searchText);
+        item.classList.toggle('hidden', !matches);
+    });
+}
+
+/**
+ * Check or uncheck all fields currently visible in the picker
+ * @param {boolean} checked - Whether to select or deselect
+ */
+function setVisibleFieldsChecked(checked) {
+    document.querySelectorAll('#fieldPickerList .field-picker-item:not(.hidden) input').forEach(checkbox => {
+        checkbox.checked = checked;
+    });
+    updateSelectedFields();
+}
+
+/**
+ * Move the dragged picker item to the position under the cursor
+ * @param {DragEvent} event - Drag event
+ */
+function onFieldDragOver(event) {
+    event.preventDefault();
+    
+    const list = document.getElementById('fieldPickerList');
+    const dragging = list.querySelector('.dragging');
+    if (!dragging) return;
+    
+    const next = [...list.querySelectorAll('.field-picker-item:not(.dragging)')].find(item => {
+        const box = item.getBoundingClientRect();
+        return event.clientY < box.top + box.height / 2;
+    });
+    
+    list.insertBefore(dragging, next || null);
+}
+
+/**
+ * Get the fields to include in a pull, in output order
+ * @returns {Array} - Selected fields, or all available fields if none are selected
+ */
+function getPullFields() {
+    return AppState.selectedFields.length > 0 ? AppState.selectedFields : getQueryableFields();
+}
+
+/**
+ * Get the fields of the selected object that can be selected in a query
+ * @returns {Array} - Field names, without mapping-only fields such as the document file
+ */
+function getQueryableFields() {
+    return AppState.availableFields.filter(field => {
+        const metadata = AppState.getFieldMetadata(field);
+        return !metadata || metadata.queryable !== false;
+    });
+}
+
+/**
+ * Show or hide the VQL query builder based on the selected pull mode
+ */
+function updatePullMode() {
+    const pullMode = document.querySelector('input[name="pullMode"]:checked').value;
+    UIUtils.toggleClass('queryConfig', 'hidden', pullMode !== 'query');
+    
+    // Start with one empty filter row
+    if (pullMode === 'query' && !document.querySelector('#filterRows .filter-row')) {
+        addFilterRow();
+    }
+}
+
+/**
+ * Add a filter row to the query builder
+ * @param {Object} filter - Optional initial {field, operator, value}
+ */
+function addFilterRow(filter = {}) {
+    const row = document.createElement('div');
+    row.className = 'filter-row';
+    
+    const fieldInput = document.createElement('input');
+    fieldInput.type = 'text';
+    fieldInput.className = 'filter-field';
+    fieldInput.setAttribute('list', 'vaultFieldsList');
+    fieldInput.placeholder = 'Field name';
+    fieldInput.value = filter.field || '';
+    row.appendChild(fieldInput);
+    
+    const operatorSelect = document.createElement('select');
+    operatorSelect.className = 'filter-operator';
+    ['=', '!=', '<', '<=', '>', '>=', 'LIKE', 'IN', 'CONTAINS'].forEach(operator => {
+        const option = document.createElement('option');
+        option.value = operator;
+        option.textContent = operator;
+        operatorSelect.appendChild(option);
+    });
+    operatorSelect.value = filter.operator || '=';
+    row.appendChild(operatorSelect);
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'filter-value';
+    valueInput.placeholder = 'Value (comma separated for IN)';
+    valueInput.value = filter.value || '';
+    row.appendChild(valueInput);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'button secondary-button';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => row.remove());
+    row.appendChild(removeBtn);
+    
+    document.getElementById('filterRows').appendChild(row);
+}
+
+/**
+ * Read the query builder options from the UI
+ * @returns {Object} - Options for VeevaAPI.buildVqlQuery
+ */
+function getQueryOptions() {
+    const filters = [];
+    document.querySelectorAll('#filterRows .filter-row').forEach(row => {
+        const field = row.querySelector('.filter-field').value.trim();
+        if (field) {
+            const metadata = AppState.getFieldMetadata(field);
+            filters.push({
+                field: field,
+                operator: row.querySelector('.filter-operator').value,
+                value: row.querySelector('.filter-value').value,
+                type: metadata ? metadata.type : ''
+            });
+        }
+    });
+    
+    return {
+        filters: filters,
+        orderBy: document.getElementById('orderByField').value.trim(),
+        orderDirection: document.getElementById('orderDirection').value,
+        limit: parseInt(document.getElementById('recordLimit').value) || 0,
+        inboundRelationships: getInboundRelationships(),
+        allVersions: document.getElementById('pullObjectCombo').value === DOCUMENTS_OBJECT && document.getElementById('allDocumentVersions').checked
+    };
+}
+
+/**
+ * Fill the custom VQL box with the query generated from the builder
+ */
+function showGeneratedVql() {
+    const selectedObject = document.getElementById('pullObjectCombo').value;
+    
+    if (!selectedObject || AppState.availableFields.length === 0) {
+        UIUtils.showNotification('Please select a Veeva Vault object first', 'info');
+        return;
+    }
+    
+    try {
+        document.getElementById('rawVql').value = VeevaAPI.buildVqlQuery(selectedObject, getPullFields(), getQueryOptions());
+    } catch (error) {
+        UIUtils.showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Collect column names from query results in first-seen order
+ * @param {Array} records - Array of records
+ * @returns {Array} - Array of column names
+ */
+function getRecordColumns(records) {
+    const columns = [];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        });
+    });
+    
+    return columns;
+}
+
+/**
+ * Handle object selection
+ */
+async function onObjectSelected() {
+    const operation = AppState.currentOperation;
+    
+    // Get selected object
+    const comboIds = { pull: 'pullObjectCombo', push: 'pushObjectCombo', attachments: 'attachmentObjectCombo' };
+    const selectedObject = document.getElementById(comboIds[operation]).value;
+    
+    if (!selectedObject) return;
+    
+    // Documents have their own version and file options
+    if (operation !== 'attachments') {
+        UIUtils.toggleClass(operation === 'pull' ? 'documentVersionsSection' : 'documentFilesSection', 'hidden', selectedObject !== DOCUMENTS_OBJECT);
+    }
+    
+    try {
+        // Update UI
+        UIUtils.updateStatus('Fetching fields...');
+        UIUtils.updateProgress(30);
+        
+        // Fetch fields for the selected object
+        const metadata = await VeevaAPI.fetchObjectMetadata(selectedObject);
+        const fields = metadata.fields;
+        
+        // Store fields in state
+        AppState.setObjectMetadata(metadata);
+        
+        // Set default output filename and field picker for pull operation
+        if (operation === 'pull') {
+            populateFieldPicker(selectedObject);
+            
+            const outputFormat = document.querySelector('input[name="outputFormat"]:checked').value;
+            const ext = outputFormat === 'csv' ? '.csv' : '.xlsx';
+            document.getElementById('outputFile').value = `${selectedObject}${ext}`;
+        }
+        
+        if (operation === 'attachments') {
+            updateAttachmentKeyFields();
+            document.getElementById('attachmentZipName').value = `${selectedObject}_attachments.zip`;
+        }
+        
+        // Auto-map columns if we have input file data, preferring a saved template
+        if (operation === 'push') {
+            updateTemplateList();
+            if (AppState.inputFileData) {
+                autoMapColumns();
+                autoApplyMappingTemplate();
+            }
+        }
+        
+        UIUtils.updateStatus('Fields loaded');
+        Logger.info(`Loaded ${fields.length} fields for ${selectedObject}`);
+    } catch (error) {
+        UIUtils.showNotification(`Failed to fetch fields: ${error.message}`, 'error');
+        UIUtils.updateStatus('Error');
+        Logger.error(`Failed to fetch fields: ${error.message}`);
+    } finally {
+        UIUtils.updateProgress(0);
+    }
+}
+
+/**
+ * Handle file upload
+ */
+async function handleFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        // Update UI
+        const fileNameLabel = document.getElementById('fileName');
+        const fileIcon = document.createElement('i');
+        fileIcon.className = 'fas fa-file';
+        fileNameLabel.replaceChildren(fileIcon, ` ${file.name}`);
+        UIUtils.updateStatus('Loading file...');
+        UIUtils.updateProgress(30);
+        
+        // Read file
+        const fileData = await FileUtils.readFile(file);
+        
+        // Store file data in state; results from a previous file no longer apply
+        AppState.setInputFileData(fileData);
+        AppState.setValidationResults(null);
+        
+        // Show the preview grid
+        document.getElementById('previewSection').classList.remove('hidden');
+        PreviewGrid.reset();
+        PreviewGrid.render();
         
         // Update UI with column mappings if not merge operation
         if (AppState.crudOperation !== 'merge') {
-            document.getElementById('mappingSection').style.display = 'block';
+            document.getElementById('mappingSection').classList.remove('hidden');
             populateMappingTable();
             
-            // Auto-map if we have available fields
+            // Auto-map if we have available fields, preferring a saved template
             if (AppState.availableFields.length > 0) {
                 autoMapColumns();
+                autoApplyMappingTemplate();
             }
         }
         
@@ -440,12 +1280,24 @@ async function handleFileUpload(event) {
 }
 
 /**
- * Populate the mapping table with file columns
+ * Handle selection of the folder holding files for new documents
+ * @param {Event} event - Change event
+ */
+function handleDocumentFilesSelected(event) {
+    const files = [...event.target.files];
+    AppState.setDocumentFiles(files);
+    
+    document.getElementById('documentFilesInfo').textContent = `(${files.length} files selected)`;
+    Logger.info(`Selected ${files.length} document files`);
+}
+
+/**
+ * Populate the mapping table with file columns and computed fields
  */
 function populateMappingTable() {
     if (!AppState.inputFileData) return;
     
-    const { columns, data } = AppState.inputFileData;
+    const { columns } = AppState.inputFileData;
     const tbody = document.querySelector('#mappingTable tbody');
     tbody.innerHTML = '';
     
@@ -459,50 +1311,272 @@ function populateMappingTable() {
         
         // Vault field dropdown
         const fieldCell = document.createElement('td');
-        const select = document.createElement('select');
-        select.className = 'mapping-select';
+        const select = createMappingFieldSelect(AppState.columnMappings[column]);
         select.dataset.column = column;
         
-        // Add empty option
-        const emptyOption = document.createElement('option');
-        emptyOption.value = '';
-        emptyOption.textContent = '- Select Field -';
-        select.appendChild(emptyOption);
+        // Add change event handler
+        const lookupControl = document.createElement('div');
+        select.addEventListener('change', function() {
+            AppState.setColumnMapping(column, this.value);
+            AppState.setMappingMatch(column, null);
+            updateMappingFlags();
+            updateLookupControl(lookupControl, this.value);
+        });
+        
+        fieldCell.append(select, lookupControl);
+        updateLookupControl(lookupControl, select.value);
+        row.appendChild(fieldCell);
         
-        // Add vault fields
-        AppState.availableFields.forEach(field => {
-            const option = document.createElement('option');
-            option.value = field;
-            option.textContent = field;
-            select.appendChild(option);
+        // Match confidence and duplicate warning
+        const matchCell = document.createElement('td');
+        matchCell.className = 'mapping-match';
+        matchCell.dataset.column = column;
+        row.appendChild(matchCell);
+        
+        // Transform expression and preview data
+        const previewCell = document.createElement('td');
+        const transformCell = document.createElement('td');
+        const transformInput = document.createElement('input');
+        transformInput.type = 'text';
+        transformInput.className = 'mapping-transform';
+        transformInput.placeholder = 'e.g. UPPER(TRIM(value))';
+        transformInput.value = AppState.columnTransforms[column] || '';
+        transformInput.addEventListener('input', function() {
+            AppState.setColumnTransform(column, this.value.trim());
+            updateMappingPreview(previewCell, column, this.value.trim());
         });
+        transformCell.appendChild(transformInput);
+        row.appendChild(transformCell);
         
-        // Set value if mapping exists
-        if (AppState.columnMappings[column]) {
-            select.value = AppState.columnMappings[column];
-        }
+        updateMappingPreview(previewCell, column, transformInput.value.trim());
+        row.appendChild(previewCell);
         
-        // Add change event handler
-        select.addEventListener('change', function() {
-            AppState.setColumnMapping(column, this.value);
+        tbody.appendChild(row);
+    });
+    
+    AppState.computedFields.forEach((computedField, index) => {
+        const row = document.createElement('tr');
+        row.className = 'computed-field-row';
+        
+        // Label and remove button in place of the file column
+        const labelCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'button secondary-button';
+        removeButton.title = 'Remove computed field';
+        removeButton.innerHTML = '<i class="fas fa-times"></i>';
+        removeButton.addEventListener('click', () => {
+            AppState.removeComputedField(index);
+            populateMappingTable();
         });
+        labelCell.append(removeButton, ' Computed');
+        row.appendChild(labelCell);
         
-        fieldCell.appendChild(select);
+        const fieldCell = document.createElement('td');
+        const select = createMappingFieldSelect(computedField.field);
+        const lookupControl = document.createElement('div');
+        select.addEventListener('change', function() {
+            AppState.setComputedField(index, { field: this.value });
+            updateMappingFlags();
+            updateLookupControl(lookupControl, this.value);
+        });
+        fieldCell.append(select, lookupControl);
+        updateLookupControl(lookupControl, select.value);
         row.appendChild(fieldCell);
         
-        // Preview data
+        const matchCell = document.createElement('td');
+        matchCell.className = 'mapping-match';
+        matchCell.dataset.computedIndex = index;
+        row.appendChild(matchCell);
+        
         const previewCell = document.createElement('td');
-        if (data.length > 0) {
-            let previewData = data[0][column] || '';
-            if (previewData.length > 30) {
-                previewData = previewData.substring(0, 27) + '...';
-            }
-            previewCell.textContent = previewData;
-        }
+        const expressionCell = document.createElement('td');
+        const expressionInput = document.createElement('input');
+        expressionInput.type = 'text';
+        expressionInput.className = 'mapping-transform';
+        expressionInput.placeholder = 'e.g. [First Name] & " " & [Last Name]';
+        expressionInput.value = computedField.expression;
+        expressionInput.addEventListener('input', function() {
+            AppState.setComputedField(index, { expression: this.value.trim() });
+            updateMappingPreview(previewCell, null, this.value.trim());
+        });
+        expressionCell.appendChild(expressionInput);
+        row.appendChild(expressionCell);
+        
+        updateMappingPreview(previewCell, null, computedField.expression);
         row.appendChild(previewCell);
         
         tbody.appendChild(row);
     });
+    
+    updateMappingFlags();
+}
+
+/**
+ * Get the Vault fields that more than one column or computed field is mapped to
+ * @returns {Object} - Sources keyed by field, only for fields mapped more than once
+ */
+function getDuplicateMappings() {
+    const sources = {};
+    Object.keys(AppState.columnMappings).forEach(column => {
+        const field = AppState.columnMappings[column];
+        if (field) {
+            sources[field] = (sources[field] || []).concat(column);
+        }
+    });
+    AppState.computedFields.forEach(computedField => {
+        if (computedField.field) {
+            sources[computedField.field] = (sources[computedField.field] || []).concat('computed field');
+        }
+    });
+    
+    const duplicates = {};
+    Object.keys(sources).forEach(field => {
+        if (sources[field].length > 1) {
+            duplicates[field] = sources[field];
+        }
+    });
+    return duplicates;
+}
+
+/**
+ * Show match confidence and flag fields mapped more than once in the mapping table
+ */
+function updateMappingFlags() {
+    const duplicates = getDuplicateMappings();
+    
+    document.querySelectorAll('#mappingTable td.mapping-match').forEach(cell => {
+        const column = cell.dataset.column;
+        const field = column !== undefined
+            ? AppState.columnMappings[column]
+            : (AppState.computedFields[cell.dataset.computedIndex] || {}).field;
+        cell.innerHTML = '';
+        cell.removeAttribute('title');
+        
+        if (field && duplicates[field]) {
+            const warning = document.createElement('span');
+            warning.className = 'match-duplicate';
+            warning.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Duplicate';
+            cell.title = `${field} is mapped from ${duplicates[field].join(', ')}`;
+            cell.appendChild(warning);
+            return;
+        }
+        
+        const match = column !== undefined ? AppState.mappingMatches[column] : null;
+        if (field && match) {
+            const metadata = AppState.getFieldMetadata(field);
+            const badge = document.createElement('span');
+            badge.className = `match-confidence ${FieldMatcher.confidence(match.score)}`;
+            badge.textContent = `${Math.round(match.score * 100)}%`;
+            cell.title = match.matchedOn === 'label' && metadata
+                ? `Matched on label "${metadata.label}"`
+                : `Matched on name ${field}`;
+            cell.appendChild(badge);
+        }
+    });
+}
+
+/**
+ * Create a Vault field dropdown for the mapping table
+ * @param {string} value - Selected field
+ * @returns {HTMLSelectElement} - Dropdown
+ */
+function createMappingFieldSelect(value) {
+    const select = document.createElement('select');
+    select.className = 'mapping-select';
+    
+    // Add empty option
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = '- Select Field -';
+    select.appendChild(emptyOption);
+    
+    // Add vault fields, labelled from metadata
+    AppState.availableFields.forEach(field => {
+        const metadata = AppState.getFieldMetadata(field);
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = metadata ? `${metadata.label} (${field})${metadata.required ? ' *' : ''}` : field;
+        if (metadata) {
+            option.title = metadata.type + (metadata.maxLength ? `, max ${metadata.maxLength}` : '') + (metadata.editable ? '' : ', read-only');
+        }
+        select.appendChild(option);
+    });
+    
+    // Set value if mapping exists
+    if (value) {
+        select.value = value;
+    }
+    
+    return select;
+}
+
+/**
+ * Offer to resolve a reference field by a key field of the referenced object
+ * @param {HTMLElement} container - Element below the field dropdown
+ * @param {string} field - Mapped Vault field
+ */
+function updateLookupControl(container, field) {
+    container.innerHTML = '';
+    const metadata = field ? AppState.getFieldMetadata(field) : null;
+    if (!metadata || !metadata.relationshipObject) return;
+    
+    const select = document.createElement('select');
+    select.className = 'lookup-select';
+    select.disabled = true;
+    select.innerHTML = '<option value="">Values are Vault IDs</option>';
+    select.addEventListener('change', function() {
+        AppState.setFieldLookup(field, this.value);
+    });
+    container.appendChild(select);
+    
+    // Key fields come from the referenced object's metadata, which is cached after the first load
+    VeevaAPI.fetchObjectMetadata(metadata.relationshipObject)
+        .then(target => {
+            target.fields
+                .filter(targetField => targetField.name !== 'id' && (targetField.unique || ['name__v', 'external_id__v'].includes(targetField.name)))
+                .forEach(targetField => {
+                    const option = document.createElement('option');
+                    option.value = targetField.name;
+                    option.textContent = `Match ${target.label} by ${targetField.label} (${targetField.name})`;
+                    select.appendChild(option);
+                });
+            select.value = AppState.fieldLookups[field] || '';
+            select.disabled = false;
+        })
+        .catch(error => {
+            Logger.warning(`Lookup fields of ${metadata.relationshipObject} could not be loaded: ${error.message}`);
+        });
+}
+
+/**
+ * Show the first row's value for a mapping, after its transform if there is one
+ * @param {HTMLElement} previewCell - Cell to fill
+ * @param {string|null} column - File column, or null for a computed field
+ * @param {string} expression - Transform expression, may be blank
+ */
+function updateMappingPreview(previewCell, column, expression) {
+    const { data } = AppState.inputFileData;
+    previewCell.classList.remove('result-failure');
+    previewCell.removeAttribute('title');
+    previewCell.textContent = '';
+    if (data.length === 0) return;
+    
+    let previewData = column ? data[0][column] || '' : '';
+    if (expression) {
+        try {
+            previewData = TransformEngine.evaluate(expression, data[0], previewData, false);
+        } catch (error) {
+            previewCell.classList.add('result-failure');
+            previewCell.textContent = error.message;
+            return;
+        }
+    }
+    
+    previewCell.title = previewData;
+    if (previewData.length > 30) {
+        previewData = previewData.substring(0, 27) + '...';
+    }
+    previewCell.textContent = previewData;
 }
 
 /**
@@ -518,75 +1592,285 @@ function autoMapColumns() {
     AppState.clearColumnMappings();
     
     const { columns } = AppState.inputFileData;
-    const vaultFields = AppState.availableFields;
     
-    // Create case-insensitive lookup for vault fields
-    const vaultFieldsLower = {};
-    vaultFields.forEach(field => {
-        vaultFieldsLower[field.toLowerCase()] = field;
-    });
+    // Match against API names and labels, each field used by one column at most
+    const fields = AppState.availableFields.map(field => ({
+        name: field,
+        label: AppState.getFieldMetadata(field) ? AppState.getFieldMetadata(field).label : ''
+    }));
+    const matches = FieldMatcher.match(columns, fields);
     
-    // Try to match columns to vault fields
-    columns.forEach(column => {
-        // Try exact match
-        if (vaultFields.includes(column)) {
-            AppState.setColumnMapping(column, column);
-        }
-        // Try case-insensitive match
-        else if (vaultFieldsLower[column.toLowerCase()]) {
-            AppState.setColumnMapping(column, vaultFieldsLower[column.toLowerCase()]);
-        }
-        // Try with underscores replaced by spaces and vice versa
-        else if (vaultFieldsLower[column.replace('_', ' ').toLowerCase()]) {
-            AppState.setColumnMapping(column, vaultFieldsLower[column.replace('_', ' ').toLowerCase()]);
-        }
-        else if (vaultFieldsLower[column.replace(' ', '_').toLowerCase()]) {
-            AppState.setColumnMapping(column, vaultFieldsLower[column.replace(' ', '_').toLowerCase()]);
-        }
+    Object.keys(matches).forEach(column => {
+        AppState.setColumnMapping(column, matches[column].field);
+        AppState.setMappingMatch(column, matches[column]);
     });
     
     // Update mapping table
     populateMappingTable();
     
     Logger.info(`Auto-mapped ${Object.keys(AppState.columnMappings).length}/${columns.length} columns`);
+    
+    const uncertain = Object.keys(matches).filter(column => FieldMatcher.confidence(matches[column].score) !== 'high');
+    if (uncertain.length > 0) {
+        Logger.warning(`Please review fuzzy matches for: ${uncertain.join(', ')}`);
+    }
 }
 
 /**
- * Clear all column mappings
+ * Get a signature identifying a file layout by its column names, ignoring order and case
+ * @param {Array} columns - File columns
+ * @returns {string} - Signature
  */
-function clearMappings() {
-    AppState.clearColumnMappings();
-    populateMappingTable();
-    Logger.info('Cleared all column mappings');
+function getHeaderSignature(columns) {
+    return columns.map(column => column.trim().toLowerCase()).sort().join('|');
 }
 
 /**
- * Execute the selected operation
+ * Refresh the template dropdown with the templates of the selected push object
  */
-async function executeOperation() {
-    if (AppState.operationInProgress) {
+function updateTemplateList() {
+    const objectName = document.getElementById('pushObjectCombo').value;
+    const select = document.getElementById('mappingTemplateSelect');
+    const currentValue = select.value;
+    
+    select.innerHTML = '<option value="">- Mapping Template -</option>';
+    ConfigStorage.loadMappingTemplates()
+        .filter(template => template.object === objectName)
+        .forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.headerSignature ? `${template.name} (file layout)` : template.name;
+            select.appendChild(option);
+        });
+    
+    select.value = currentValue;
+}
+
+/**
+ * Save the current mappings, transforms and computed fields as a named template
+ */
+function saveMappingTemplate() {
+    const name = document.getElementById('templateName').value.trim();
+    const objectName = document.getElementById('pushObjectCombo').value;
+    
+    if (!name || !objectName || !AppState.inputFileData) {
+        UIUtils.showNotification('Please select an object, load a file and enter a template name', 'error');
         return;
     }
     
-    AppState.operationInProgress = true;
-    
-    try {
-        const operation = AppState.currentOperation;
+    const columnMappings = {};
+    Object.keys(AppState.columnMappings).forEach(column => {
+        if (AppState.columnMappings[column]) {
+            columnMappings[column] = AppState.columnMappings[column];
+        }
+    });
+    
+    const matchHeaders = document.getElementById('templateMatchHeaders').checked;
+    const template = {
+        name: name,
+        object: objectName,
+        headerSignature: matchHeaders ? getHeaderSignature(AppState.inputFileData.columns) : null,
+        columnMappings: columnMappings,
+        columnTransforms: { ...AppState.columnTransforms },
+        computedFields: AppState.computedFields.filter(computedField => computedField.field).map(computedField => ({ ...computedField })),
+        fieldLookups: { ...AppState.fieldLookups },
+        savedAt: new Date().toISOString()
+    };
+    
+    // A template with the same name for the same object is replaced
+    const templates = ConfigStorage.loadMappingTemplates().filter(existing => !(existing.object === objectName && existing.name === name));
+    templates.push(template);
+    
+    if (ConfigStorage.saveMappingTemplates(templates)) {
+        updateTemplateList();
+        document.getElementById('mappingTemplateSelect').value = name;
+        UIUtils.showNotification(`Mapping template "${name}" saved`, 'success');
+        Logger.success(`Saved mapping template "${name}" for ${objectName}`);
+    } else {
+        UIUtils.showNotification('Failed to save mapping template', 'error');
+    }
+}
+
+/**
+ * Apply a template to the loaded file
+ * @param {Object} template - Mapping template
+ */
+function applyMappingTemplate(template) {
+    const { columns } = AppState.inputFileData;
+    
+    AppState.clearColumnMappings();
+    AppState.clearTransforms();
+    
+    const missingColumns = [];
+    Object.keys(template.columnMappings).forEach(column => {
+        if (!columns.includes(column)) {
+            missingColumns.push(column);
+        } else if (!AppState.availableFields.includes(template.columnMappings[column])) {
+            Logger.warning(`Template field ${template.columnMappings[column]} does not exist on ${template.object} and was not mapped`);
+        } else {
+            AppState.setColumnMapping(column, template.columnMappings[column]);
+            AppState.setColumnTransform(column, (template.columnTransforms || {})[column]);
+        }
+    });
+    
+    (template.computedFields || []).forEach(computedField => {
+        AppState.addComputedField();
+        AppState.setComputedField(AppState.computedFields.length - 1, computedField);
+    });
+    
+    Object.keys(template.fieldLookups || {}).forEach(field => {
+        AppState.setFieldLookup(field, template.fieldLookups[field]);
+    });
+    
+    populateMappingTable();
+    
+    Logger.info(`Applied mapping template "${template.name}"`);
+    if (missingColumns.length > 0) {
+        Logger.warning(`Columns in template "${template.name}" not found in the file: ${missingColumns.join(', ')}`);
+    }
+}
+
+/**
+ * Find the saved template that fits the loaded file best
+ * @returns {Object|null} - Template matching the file layout, else a general template whose columns are all present
+ */
+function findMatchingTemplate() {
+    const objectName = document.getElementById('pushObjectCombo').value;
+    if (!objectName || !AppState.inputFileData) return null;
+    
+    const { columns } = AppState.inputFileData;
+    const signature = getHeaderSignature(columns);
+    const templates = ConfigStorage.loadMappingTemplates()
+        .filter(template => template.object === objectName)
+        .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    
+    return templates.find(template => template.headerSignature === signature)
+        || templates.find(template => !template.headerSignature && Object.keys(template.columnMappings).every(column => columns.includes(column)))
+        || null;
+}
+
+/**
+ * Apply the matching saved template, if any, after a file or object is loaded
+ */
+function autoApplyMappingTemplate() {
+    const template = findMatchingTemplate();
+    if (!template) return;
+    
+    applyMappingTemplate(template);
+    document.getElementById('mappingTemplateSelect').value = template.name;
+    UIUtils.showNotification(`Mapping template "${template.name}" applied automatically`, 'info');
+}
+
+/**
+ * Apply the template chosen in the dropdown
+ */
+function applySelectedTemplate() {
+    const name = document.getElementById('mappingTemplateSelect').value;
+    const objectName = document.getElementById('pushObjectCombo').value;
+    const template = ConfigStorage.loadMappingTemplates().find(existing => existing.object === objectName && existing.name === name);
+    
+    if (!template || !AppState.inputFileData) {
+        UIUtils.showNotification('Please load a file and choose a mapping template', 'info');
+        return;
+    }
+    
+    applyMappingTemplate(template);
+}
+
+/**
+ * Delete the template chosen in the dropdown
+ */
+function deleteSelectedTemplate() {
+    const name = document.getElementById('mappingTemplateSelect').value;
+    const objectName = document.getElementById('pushObjectCombo').value;
+    if (!name) return;
+    
+    if (!confirm(`Delete mapping template "${name}"?`)) return;
+    
+    const templates = ConfigStorage.loadMappingTemplates().filter(existing => !(existing.object === objectName && existing.name === name));
+    ConfigStorage.saveMappingTemplates(templates);
+    document.getElementById('mappingTemplateSelect').value = '';
+    updateTemplateList();
+    Logger.info(`Deleted mapping template "${name}"`);
+}
+
+/**
+ * Download all saved templates as JSON
+ */
+function exportMappingTemplates() {
+    const templates = ConfigStorage.loadMappingTemplates();
+    if (templates.length === 0) {
+        UIUtils.showNotification('There are no saved mapping templates to export', 'info');
+        return;
+    }
+    
+    const content = JSON.stringify({ type: 'veeva_vault_manager_mapping_templates', version: 1, templates: templates }, null, 2);
+    FileUtils.downloadFile('vault_mapping_templates.json', content, 'application/json;charset=utf-8;');
+    Logger.info(`Exported ${templates.length} mapping templates`);
+}
+
+/**
+ * Import templates from a JSON file, replacing saved templates with the same object and name
+ */
+async function handleTemplateImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const content = JSON.parse(await FileUtils.readTextFile(file));
+        const imported = Array.isArray(content) ? content : content.templates;
         
-        // Get connection details
-        const apiUrl = document.getElementById('apiUrl').value;
-        const username = document.getElementById('username').value;
-        const password = document.getElementById('password').value;
-        const verifySSL = document.getElementById('verifySSL').checked;
+        if (!Array.isArray(imported)) {
+            throw new Error('No templates found in file');
+        }
         
-        // Validate common inputs
-        if (!apiUrl || !username || !password) {
-            UIUtils.showNotification('Please provide Veeva Vault API URL, username, and password', 'error');
-            return;
+        const invalid = imported.filter(template => !template.name || !template.object || typeof template.columnMappings !== 'object');
+        if (invalid.length > 0) {
+            throw new Error(`${invalid.length} templates are missing a name, object or columnMappings`);
         }
         
-        // Initialize API
-        VeevaAPI.init(apiUrl, username, password, verifySSL);
+        const importedKeys = new Set(imported.map(template => `${template.object}/${template.name}`));
+        const templates = ConfigStorage.loadMappingTemplates().filter(existing => !importedKeys.has(`${existing.object}/${existing.name}`));
+        ConfigStorage.saveMappingTemplates(templates.concat(imported));
+        
+        updateTemplateList();
+        UIUtils.showNotification(`Imported ${imported.length} mapping templates`, 'success');
+        Logger.success(`Imported ${imported.length} mapping templates from ${file.name}`);
+    } catch (error) {
+        UIUtils.showNotification(`Failed to import templates: ${error.message}`, 'error');
+        Logger.error(`Failed to import templates: ${error.message}`);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Clear all column mappings
+ */
+function clearMappings() {
+    AppState.clearColumnMappings();
+    AppState.clearTransforms();
+    populateMappingTable();
+    Logger.info('Cleared all column mappings');
+}
+
+/**
+ * Execute the selected operation
+ */
+async function executeOperation() {
+    if (AppState.operationInProgress) {
+        return;
+    }
+    
+    AppState.operationInProgress = true;
+    UIUtils.toggleClass('loadingIndicator', 'hidden', false);
+    
+    try {
+        const operation = AppState.currentOperation;
+        
+        if (!initializeAPIFromForm()) {
+            return;
+        }
         
         // Execute based on operation type
         switch (operation) {
@@ -599,16 +1883,85 @@ async function executeOperation() {
             case 'metadata':
                 await executeMetadataOperation();
                 break;
+            case 'attachments':
+                await executeAttachmentOperation();
+                break;
+            case 'picklists':
+                await executePicklistOperation();
+                break;
         }
     } catch (error) {
         UIUtils.showNotification(`Operation failed: ${error.message}`, 'error');
         UIUtils.updateStatus('Failed');
         Logger.error(`Operation failed: ${error.message}`);
     } finally {
+        UIUtils.toggleClass('loadingIndicator', 'hidden', true);
         AppState.reset();
     }
 }
 
+/**
+ * Initialize the API client from the connection form
+ * @returns {boolean} - Whether the connection details were complete
+ */
+function initializeAPIFromForm() {
+    // Get connection details
+    const apiUrl = document.getElementById('apiUrl').value;
+    const authMethod = getAuthMethod();
+    const username = authMethod === 'password' ? document.getElementById('username').value : '';
+    const password = authMethod === 'password' ? document.getElementById('password').value : '';
+    const verifySSL = document.getElementById('verifySSL').checked;
+    
+    // SSO and pasted sessions are started with their own buttons, then kept in memory
+    if (authMethod !== 'password') {
+        if (!apiUrl || !VeevaAPI.hasSession(apiUrl, '', authMethod)) {
+            UIUtils.showNotification(authMethod === 'sso' ? 'Please sign in with SSO first' : 'Please paste a session ID and click Use Session ID first', 'error');
+            return false;
+        }
+    }
+    
+    // A session kept in memory stands in for the password
+    if (authMethod === 'password' && (!apiUrl || !username || (!password && !VeevaAPI.hasSession(apiUrl, username)))) {
+        const locked = CredentialStore.hasPassword(getPasswordEntryId()) && !CredentialStore.isUnlocked();
+        UIUtils.showNotification(`Please provide Veeva Vault API URL, username, and password${locked ? ', or unlock the saved passwords' : ''}`, 'error');
+        return false;
+    }
+    
+    // Initialize API
+    VeevaAPI.init(apiUrl, username, password, verifySSL, getConnectionOptions());
+    
+    // Session-only connections do not keep the password in the form either
+    if (document.getElementById('sessionOnlyPassword').checked) {
+        document.getElementById('password').value = '';
+    }
+    return true;
+}
+
+/**
+ * Read the API version, CORS proxy, password handling and sign-in method from the connection form
+ * @returns {Object} - Options for VeevaAPI.init
+ */
+function getConnectionOptions() {
+    return {
+        apiVersion: getApiVersion(),
+        corsProxy: document.getElementById('corsProxy').value.trim(),
+        sessionOnly: document.getElementById('sessionOnlyPassword').checked,
+        authMethod: getAuthMethod(),
+        oauthProfileId: document.getElementById('oauthProfileId').value.trim(),
+        oauthSessionUrl: document.getElementById('oauthSessionUrl').value.trim()
+    };
+}
+
+/**
+ * Read the API version from the connection form
+ * @returns {string} - Version such as v24.1; a missing "v" is added and a blank field gives the default
+ */
+function getApiVersion() {
+    const version = document.getElementById('apiVersion').value.trim();
+    if (!version) return DEFAULT_API_VERSION;
+    return version.startsWith('v') ? version : `v${version}`;
+}
+
 /**
  * Execute pull operation
  */
@@ -637,24 +1990,64 @@ async function executePullOperation() {
             UIUtils.updateStatus('Fetching metadata...');
             UIUtils.updateProgress(10);
             
-            const fields = await VeevaAPI.fetchObjectFields(selectedObject);
-            AppState.setAvailableFields(fields);
+            const metadata = await VeevaAPI.fetchObjectMetadata(selectedObject);
+            const fields = metadata.fields;
+            AppState.setObjectMetadata(metadata);
+            populateFieldPicker(selectedObject);
             
             Logger.info(`Found ${fields.length} fields for ${selectedObject}`);
         }
         
+        const fieldPickerShown = !document.getElementById('fieldPicker').classList.contains('hidden');
+        if (fieldPickerShown && AppState.selectedFields.length === 0) {
+            UIUtils.showNotification('Please select at least one field to export', 'error');
+            return;
+        }
+        
         // Pull data from Vault
         UIUtils.updateStatus('Fetching records...');
         UIUtils.updateProgress(20);
         
-        const fields = AppState.availableFields;
+        let fields = getPullFields();
+        const pullMode = document.querySelector('input[name="pullMode"]:checked').value;
+        
+        // Documents are always exported with their version
+        const isDocuments = selectedObject === DOCUMENTS_OBJECT;
+        if (isDocuments) {
+            fields = fields.concat(DOCUMENT_VERSION_FIELDS.filter(field => !fields.includes(field)));
+        }
         
-        const progressCallback = (count) => {
-            UIUtils.updateStatus(`Fetched ${count} records...`);
-            UIUtils.updateProgress(20 + Math.min(60, count / 10)); // Adjust progress based on record count
+        const progressCallback = (count, total) => {
+            UIUtils.updateStatus(total ? `Fetched ${count} of ${total} records...` : `Fetched ${count} records...`);
+            UIUtils.updateProgress(20 + (total ? count / total * 60 : Math.min(60, count / 10))); // Adjust progress based on record count
         };
         
-        const data = await VeevaAPI.pullData(selectedObject, fields, 100, progressCallback);
+        let data;
+        if (document.getElementById('pullLoaderMode').checked) {
+            data = await extractWithLoader(selectedObject, fields, pullMode);
+        } else if (pullMode === 'query') {
+            const rawVql = document.getElementById('rawVql').value.trim();
+            const query = rawVql || VeevaAPI.buildVqlQuery(selectedObject, fields, getQueryOptions());
+            
+            Logger.info(`Running VQL: ${query}`);
+            data = await VeevaAPI.queryData(query, progressCallback);
+            
+            // A custom query decides its own columns
+            if (rawVql) {
+                fields = getRecordColumns(data);
+            }
+        } else if (isDocuments || fields.some(field => field.includes('.'))) {
+            // Documents and related fields can only be read through VQL
+            const query = VeevaAPI.buildVqlQuery(selectedObject, fields, {
+                inboundRelationships: getInboundRelationships(),
+                allVersions: getQueryOptions().allVersions
+            });
+            
+            Logger.info(`Running VQL: ${query}`);
+            data = await VeevaAPI.queryData(query, progressCallback);
+        } else {
+            data = await VeevaAPI.pullData(selectedObject, fields, 100, progressCallback);
+        }
         
         // Process and save data
         UIUtils.updateStatus('Processing data...');
@@ -722,6 +2115,124 @@ async function executePullOperation() {
     }
 }
 
+/**
+ * Extract records with a Vault Loader job, for objects too large to page through the query API
+ * @param {string} selectedObject - Object to extract
+ * @param {Array} fields - Fields to include
+ * @param {string} pullMode - 'all' or 'query'; query mode passes the filters as criteria
+ * @returns {Promise<Array>} - Extracted records
+ */
+async function extractWithLoader(selectedObject, fields, pullMode) {
+    if (selectedObject === DOCUMENTS_OBJECT) {
+        throw new Error('Vault Loader extracts are only available for objects, not documents');
+    }
+    
+    if (fields.some(field => field.includes('.'))) {
+        throw new Error('Vault Loader extracts cannot include related fields');
+    }
+    
+    let criteria = '';
+    if (pullMode === 'query') {
+        if (document.getElementById('rawVql').value.trim()) {
+            throw new Error('Vault Loader extracts cannot run custom VQL; use the filters instead');
+        }
+        
+        const queryOptions = getQueryOptions();
+        if (queryOptions.orderBy || queryOptions.limit > 0) {
+            Logger.warning('Order by and record limit are ignored by Vault Loader extracts');
+        }
+        criteria = VeevaAPI.buildVqlConditions(queryOptions.filters);
+    }
+    
+    Logger.info(`Starting Vault Loader extract of ${selectedObject}${criteria ? ` where ${criteria}` : ''}`);
+    const data = await VeevaAPI.loaderExtract(selectedObject, fields, criteria, (jobId, status, elapsed) => {
+        UIUtils.updateStatus(`Vault Loader job ${jobId}: ${status} (${Math.round(elapsed / 1000)}s)`);
+    });
+    
+    Logger.info(`Vault Loader extract returned ${data.length} records`);
+    return data;
+}
+
+/**
+ * Copy the mapping settings that shape prepared records, so a retry prepares rows the way the push did
+ * @returns {Object} - {columnMappings, columnTransforms, computedFields, fieldMetadata, lookupRules}
+ */
+function getMappingSnapshot() {
+    return {
+        columnMappings: { ...AppState.columnMappings },
+        columnTransforms: { ...AppState.columnTransforms },
+        computedFields: AppState.computedFields
+            .filter(computedField => computedField.field && computedField.expression)
+            .map(computedField => ({ ...computedField })),
+        fieldMetadata: AppState.fieldMetadata,
+        lookupRules: getLookupRules()
+    };
+}
+
+/**
+ * Convert input rows to Vault records for a push
+ * @param {Array} rows - Input file rows
+ * @param {string} crudOperation - CRUD operation
+ * @param {Object} mapping - Mapping settings from getMappingSnapshot; defaults to the current ones
+ * @param {Object} errors - Filled with arrays of {field, value, type, message} keyed by index of rows whose transforms failed; those fields are left out
+ * @returns {Array} - Records to push, in the same order as the rows
+ */
+function prepareData(rows, crudOperation, mapping = getMappingSnapshot(), errors = {}) {
+    let preparedData = [];
+    
+    if (crudOperation === 'merge') {
+        // For merge, use data directly without mapping
+        preparedData = rows.map(row => {
+            const cleanRow = {};
+            Object.keys(row).forEach(key => {
+                cleanRow[key] = row[key] === null ? '' : String(row[key]);
+            });
+            return cleanRow;
+        });
+        
+        Logger.info('Using direct data for merge operation - no column mapping applied');
+    } else {
+        // Process with column mapping and transforms for other operations
+        rows.forEach((row, index) => {
+            const mappedRow = {};
+            
+            // A failing transform fails its row only, like an unresolved lookup
+            const evaluate = (field, value, compute) => {
+                try {
+                    mappedRow[field] = compute();
+                } catch (error) {
+                    errors[index] = (errors[index] || []).concat({ field: field, value: value, type: VALIDATION_ISSUES.TRANSFORM, message: `${field}: ${error.message}` });
+                }
+            };
+            
+            Object.keys(mapping.columnMappings).forEach(fileCol => {
+                const vaultField = mapping.columnMappings[fileCol];
+                if (vaultField) {
+                    const value = row[fileCol] === null ? '' : String(row[fileCol]);
+                    const expression = mapping.columnTransforms[fileCol];
+                    evaluate(vaultField, value, () => expression ? TransformEngine.evaluate(expression, row, value) : value);
+                }
+            });
+            
+            mapping.computedFields.forEach(computedField => {
+                evaluate(computedField.field, '', () => TransformEngine.evaluate(computedField.expression, row));
+            });
+            
+            // Multi-value picklists are sent as value names separated by commas without spaces
+            Object.keys(mappedRow).forEach(field => {
+                const metadata = mapping.fieldMetadata[field];
+                if (metadata && metadata.multiValue && mappedRow[field]) {
+                    mappedRow[field] = String(mappedRow[field]).replace(/^\[|\]$/g, '').split(/[,;]/).map(item => item.trim()).filter(Boolean).join(',');
+                }
+            });
+            
+            preparedData.push(mappedRow);
+        });
+    }
+    
+    return preparedData;
+}
+
 /**
  * Execute push operation
  */
@@ -746,109 +2257,1499 @@ async function executePushOperation() {
         }
         
         // Only require mapping for non-merge operations
-        if (crudOperation !== 'merge' && Object.keys(AppState.columnMappings).length === 0) {
+        if (crudOperation !== 'merge' && Object.keys(AppState.columnMappings).length === 0 && AppState.computedFields.length === 0) {
             UIUtils.showNotification('Please map at least one column', 'error');
             return;
         }
         
+        const duplicateFields = crudOperation !== 'merge' ? Object.keys(getDuplicateMappings()) : [];
+        if (duplicateFields.length > 0) {
+            UIUtils.showNotification(`Fields mapped more than once: ${duplicateFields.join(', ')}`, 'error');
+            return;
+        }
+        
+        // Upsert matches existing records by a mapped unique field
+        const pushOptions = getPushOptions(crudOperation);
+        const loaderMode = document.getElementById('pushLoaderMode').checked && !document.getElementById('dryRun').checked;
+        if (loaderMode && (crudOperation === 'merge' || pushOptions.deleteMode === 'cascade')) {
+            UIUtils.showNotification('Vault Loader jobs do not support merge or cascade delete', 'error');
+            return;
+        }
+        
+        if (selectedObject === DOCUMENTS_OBJECT
+            && (!DOCUMENT_OPERATIONS.includes(crudOperation) || pushOptions.deleteMode === 'cascade' || loaderMode)) {
+            UIUtils.showNotification('Documents can only be inserted, updated or deleted, without cascade delete or Vault Loader', 'error');
+            return;
+        }
+        
+        const keyField = pushOptions.idParam;
+        if (crudOperation === 'upsert') {
+            const mappedFields = Object.values(AppState.columnMappings).concat(AppState.computedFields.map(computedField => computedField.field));
+            if (!keyField) {
+                UIUtils.showNotification('Please select the key field to upsert by', 'error');
+                return;
+            }
+            if (!mappedFields.includes(keyField)) {
+                UIUtils.showNotification(`The upsert key field ${keyField} must be mapped`, 'error');
+                return;
+            }
+        }
+        
         UIUtils.updateStatus('Preparing data...');
         UIUtils.updateProgress(10);
         
-        // Prepare data based on operation
-        let preparedData = [];
+        // Prepare data based on operation, skipping rows excluded in the preview grid
+        const inputRows = AppState.inputFileData.data;
+        const rowIndices = AppState.getIncludedRowIndices();
+        if (rowIndices.length === 0) {
+            UIUtils.showNotification('All rows are excluded from the push', 'error');
+            return;
+        }
+        
+        const mapping = getMappingSnapshot();
+        const transformErrors = {};
+        const preparedData = prepareData(rowIndices.map(index => inputRows[index]), crudOperation, mapping, transformErrors);
+        
+        Logger.info(`Prepared ${preparedData.length} records for upload`);
+        if (Object.keys(transformErrors).length > 0) {
+            Logger.warning(`${Object.keys(transformErrors).length} records have transforms that failed and will not be sent`);
+        }
+        if (AppState.excludedRows.size > 0) {
+            Logger.info(`${AppState.excludedRows.size} rows excluded in the data preview were skipped`);
+        }
+        
+        // Dry run stops before any write call
+        if (document.getElementById('dryRun').checked) {
+            const lookupErrors = mergeRowErrors(crudOperation === 'merge' ? {} : await resolveLookups(preparedData), transformErrors);
+            if (selectedObject === DOCUMENTS_OBJECT && crudOperation === 'insert') {
+                mergeRowErrors(lookupErrors, checkDocumentFiles(preparedData));
+            }
+            await executeValidation(selectedObject, preparedData, crudOperation, rowIndices, lookupErrors, keyField);
+            return;
+        }
+        
+        if (!confirmProductionWrite(`${crudOperation} ${preparedData.length} ${selectedObject} records`)) {
+            return;
+        }
+        
+        if (pushOptions.deleteMode === 'cascade'
+            && !confirm(`Cascade delete removes ${preparedData.length} ${selectedObject} records together with all their child records. Continue?`)) {
+            Logger.info('Cascade delete cancelled');
+            return;
+        }
+        
+        if (loaderMode) {
+            await executeLoaderPush(selectedObject, preparedData, crudOperation, rowIndices, pushOptions, transformErrors);
+            return;
+        }
+        
+        // Push data to Vault
+        UIUtils.updateStatus('Uploading data...');
+        UIUtils.updateProgress(20);
+        
+        const progressCallback = (currentBatch, totalBatches) => {
+            const percent = Math.min(90, 20 + (currentBatch / totalBatches * 70));
+            UIUtils.updateStatus(`Processing batch ${currentBatch} of ${totalBatches}`);
+            UIUtils.updateProgress(percent);
+        };
+        
+        const results = await pushPreparedRecords(
+            selectedObject,
+            preparedData,
+            crudOperation,
+            batchSize,
+            progressCallback,
+            pushOptions,
+            mapping.lookupRules,
+            transformErrors
+        );
+        
+        // Join record results back to the input rows, keeping their original row numbers
+        AppState.setPushResults({
+            object: selectedObject,
+            operation: crudOperation,
+            pushOptions: pushOptions,
+            mapping: mapping,
+            columns: AppState.inputFileData.columns,
+            excludedRows: AppState.excludedRows,
+            records: results.records.map(record => ({
+                ...record,
+                index: rowIndices[record.index],
+                rowNumber: rowIndices[record.index] + 1,
+                inputRow: { ...inputRows[rowIndices[record.index]] }
+            }))
+        });
+        
+        // Send email notification if enabled
+        if (document.getElementById('emailNotification').checked) {
+            const emailSettings = ConfigStorage.loadEmailSettings();
+            if (emailSettings) {
+                const reportData = {
+                    operation: 'push',
+                    subject: `Veeva Vault Data ${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} Report: ${selectedObject}`,
+                    object: selectedObject,
+                    recordCount: preparedData.length,
+                    crudOperation: crudOperation,
+                    status: results.recordFailures === 0 ? 'Successful' : 'Partially successful',
+                    successBatches: results.success,
+                    totalBatches: results.total,
+                    successRecords: results.recordSuccesses,
+                    failedRecords: results.recordFailures
+                };
+                
+                await VeevaAPI.sendEmailNotification(emailSettings, reportData);
+            }
+        }
+        
+        // Complete
+        UIUtils.updateStatus('Completed');
+        UIUtils.updateProgress(100);
+        
+        // Report results
+        if (results.recordFailures === 0) {
+            const message = `${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} operation completed successfully. All ${results.recordSuccesses} records in ${results.total} batches processed.`;
+            UIUtils.showNotification(message, 'success');
+            Logger.success(message);
+        } else {
+            const message = `${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} operation completed with errors. ${results.recordSuccesses} of ${results.records.length} records processed successfully. Download the error file for details.`;
+            UIUtils.showNotification(message, 'warning');
+            Logger.warning(message);
+        }
+        
+        // Log details
+        results.logs.forEach(log => {
+            if (log.status === 200) {
+                Logger.info(`Batch ${log.batch}: ${log.message}`);
+            } else {
+                Logger.error(`Batch ${log.batch}: ${log.message}`);
+            }
+        });
+        
+        results.records.filter(record => record.status === 'Failure').slice(0, 20).forEach(record => {
+            Logger.error(`Row ${rowIndices[record.index] + 1}: ${record.errorType} - ${record.errorMessage}`);
+        });
+    } catch (error) {
+        throw error;
+    }
+}
+
+/**
+ * Push prepared records as a Vault Loader job and download its success and failure logs
+ * @param {string} selectedObject - Target object
+ * @param {Array} preparedData - Prepared records
+ * @param {string} crudOperation - CRUD operation
+ * @param {Array} rowIndices - Input row index of each prepared record
+ * @param {Object} pushOptions - Options from getPushOptions
+ * @param {Object} rowErrors - Transform errors keyed by record index, from prepareData
+ */
+async function executeLoaderPush(selectedObject, preparedData, crudOperation, rowIndices, pushOptions, rowErrors = {}) {
+    // Loader logs are not joined back to input rows, so the results of an earlier push must not pass for this job's
+    AppState.setPushResults(null);
+    
+    // Records with failed transforms or unresolved lookups are left out of the job
+    const lookupErrors = mergeRowErrors(await resolveLookups(preparedData), rowErrors);
+    const loadData = preparedData.filter((record, index) => !lookupErrors[index]);
+    Object.keys(lookupErrors).slice(0, 20).forEach(index => {
+        Logger.error(`Row ${rowIndices[index] + 1}: ${lookupErrors[index][0].type} - ${lookupErrors[index].map(error => error.message).join('; ')}`);
+    });
+    
+    if (loadData.length === 0) {
+        UIUtils.showNotification('No records left to load after transforms and lookups', 'error');
+        return;
+    }
+    
+    UIUtils.updateStatus('Starting Vault Loader job...');
+    UIUtils.updateProgress(30);
+    
+    const results = await VeevaAPI.loaderLoad(selectedObject, loadData, crudOperation, pushOptions, message => {
+        UIUtils.updateStatus(message);
+    });
+    
+    UIUtils.updateStatus('Downloading job logs...');
+    UIUtils.updateProgress(90);
+    
+    const baseName = `${selectedObject}_${crudOperation}_loader_${results.jobId}`;
+    if (results.successes.length > 0) {
+        FileUtils.downloadFile(`${baseName}_success.csv`, FileUtils.dataToCSV(results.successes, getRecordColumns(results.successes)), 'text/csv;charset=utf-8;');
+    }
+    if (results.failures.length > 0) {
+        FileUtils.downloadFile(`${baseName}_failure.csv`, FileUtils.dataToCSV(results.failures, getRecordColumns(results.failures)), 'text/csv;charset=utf-8;');
+    }
+    
+    const failedRecords = results.failures.length + Object.keys(lookupErrors).length;
+    
+    // Send email notification if enabled
+    if (document.getElementById('emailNotification').checked) {
+        const emailSettings = ConfigStorage.loadEmailSettings();
+        if (emailSettings) {
+            const reportData = {
+                operation: 'push',
+                subject: `Veeva Vault Loader ${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} Report: ${selectedObject}`,
+                object: selectedObject,
+                recordCount: preparedData.length,
+                crudOperation: crudOperation,
+                status: failedRecords === 0 ? 'Successful' : 'Partially successful',
+                successBatches: results.fileCount,
+                totalBatches: results.fileCount,
+                successRecords: results.successes.length,
+                failedRecords: failedRecords
+            };
+            
+            await VeevaAPI.sendEmailNotification(emailSettings, reportData);
+        }
+    }
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const message = `Vault Loader job ${results.jobId} finished: ${results.successes.length} of ${preparedData.length} records loaded from ${results.fileCount} files, ${failedRecords} failed.`;
+    if (failedRecords === 0) {
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        UIUtils.showNotification(`${message} See the downloaded failure log.`, 'warning');
+        Logger.warning(message);
+    }
+}
+
+/**
+ * Get the lookups configured for reference fields of the selected object
+ * @returns {Array} - Rules of {field, object, keyField}
+ */
+function getLookupRules() {
+    return Object.keys(AppState.fieldLookups)
+        .filter(field => AppState.getFieldMetadata(field) && AppState.getFieldMetadata(field).relationshipObject)
+        .map(field => ({
+            field: field,
+            object: AppState.getFieldMetadata(field).relationshipObject,
+            keyField: AppState.fieldLookups[field]
+        }));
+}
+
+/**
+ * Replace lookup values in prepared records with the ids of the referenced records
+ * @param {Array} preparedData - Prepared records, updated in place
+ * @param {Array} lookupRules - Rules from getLookupRules; defaults to the current ones
+ * @returns {Promise<Object>} - Arrays of {field, value, type, message} keyed by index of records with unresolved values
+ */
+async function resolveLookups(preparedData, lookupRules = getLookupRules()) {
+    const errors = {};
+    
+    for (const rule of lookupRules) {
+        const hasValue = record => record[rule.field] !== undefined && String(record[rule.field]).trim() !== '';
+        const values = [...new Set(preparedData.filter(hasValue).map(record => String(record[rule.field]).trim()))];
+        if (values.length === 0) continue;
+        
+        UIUtils.updateStatus(`Resolving ${rule.field} by ${rule.object}.${rule.keyField}...`);
+        const ids = await VeevaAPI.lookupRecordIds(rule.object, rule.keyField, values);
+        
+        let resolved = 0;
+        preparedData.forEach((record, index) => {
+            if (!hasValue(record)) return;
+            
+            const value = String(record[rule.field]).trim();
+            const matches = ids[VeevaAPI.normalizeLookupValue(value)] || [];
+            if (matches.length === 1) {
+                record[rule.field] = matches[0];
+                resolved++;
+                return;
+            }
+            
+            const message = matches.length === 0
+                ? `No ${rule.object} record has ${rule.keyField} "${value}"`
+                : `${matches.length} ${rule.object} records have ${rule.keyField} "${value}"`;
+            errors[index] = (errors[index] || []).concat({ field: rule.field, value: value, type: VALIDATION_ISSUES.UNRESOLVED_LOOKUP, message: message });
+        });
+        
+        Logger.info(`Resolved ${resolved} ${rule.field} values by ${rule.object}.${rule.keyField}`);
+    }
+    
+    const unresolved = Object.keys(errors).length;
+    if (unresolved > 0) {
+        Logger.warning(`${unresolved} records have lookup values that could not be resolved`);
+    }
+    
+    return errors;
+}
+
+/**
+ * Add row errors to those already found, keyed by record index
+ * @param {Object} errors - Arrays of {field, value, type, message} keyed by record index, updated in place
+ * @param {Object} moreErrors - Further errors in the same form
+ * @returns {Object} - The updated errors
+ */
+function mergeRowErrors(errors, moreErrors) {
+    Object.keys(moreErrors).forEach(index => {
+        errors[index] = (errors[index] || []).concat(moreErrors[index]);
+    });
+    return errors;
+}
+
+/**
+ * Check that every new document names one of the selected document files
+ * @param {Array} preparedData - Prepared document records
+ * @returns {Object} - Arrays of {field, value, type, message} keyed by index of records without a usable file
+ */
+function checkDocumentFiles(preparedData) {
+    const errors = {};
+    
+    preparedData.forEach((record, index) => {
+        const value = record.file === undefined || record.file === null ? '' : String(record.file).trim();
+        let message = '';
+        if (!value) {
+            message = 'A file is required to create a document';
+        } else if (!AppState.documentFiles[value]) {
+            message = `File "${value}" is not among the selected document files`;
+        }
+        
+        if (message) {
+            errors[index] = [{ field: 'file', value: value, type: VALIDATION_ISSUES.MISSING_FILE, message: message }];
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Upload the files of new documents to file staging and point their file field at the staged copy
+ * @param {Array} records - Prepared document records whose files were checked with checkDocumentFiles, updated in place
+ * @returns {Promise<void>}
+ */
+async function uploadDocumentFiles(records) {
+    const folder = `${DOCUMENT_STAGING_FOLDER}/${new Date().toISOString().replace(/[-:.]/g, '')}`;
+    await VeevaAPI.createStagingFolder(DOCUMENT_STAGING_FOLDER);
+    await VeevaAPI.createStagingFolder(folder);
+    
+    // Each file is uploaded once, however many rows name it
+    const files = [...new Set(records.map(record => AppState.documentFiles[String(record.file).trim()]))];
+    const paths = new Map();
+    for (let i = 0; i < files.length; i++) {
+        UIUtils.updateStatus(`Uploading document file ${i + 1} of ${files.length}...`);
+        paths.set(files[i], `${folder}/${i + 1}_${files[i].name}`);
+        await VeevaAPI.uploadStagingFile(paths.get(files[i]), files[i]);
+    }
+    
+    records.forEach(record => {
+        record.file = paths.get(AppState.documentFiles[String(record.file).trim()]);
+    });
+    Logger.info(`Uploaded ${files.length} document files to ${folder}`);
+}
+
+/**
+ * Resolve lookups and push prepared records; records with failed transforms or unresolved lookups fail without being sent
+ * @param {string} objectName - Target object
+ * @param {Array} preparedData - Prepared records
+ * @param {string} crudOperation - CRUD operation
+ * @param {number} batchSize - Batch size
+ * @param {Function} progressCallback - Callback for batch progress
+ * @param {Object} options - Options passed to VeevaAPI.pushData
+ * @param {Array} lookupRules - Rules from getLookupRules; defaults to the current ones
+ * @param {Object} rowErrors - Transform errors keyed by record index, from prepareData; those records fail without being sent
+ * @returns {Promise<Object>} - Results as returned by VeevaAPI.pushData, with record indices into preparedData
+ */
+async function pushPreparedRecords(objectName, preparedData, crudOperation, batchSize, progressCallback, options = {}, lookupRules = getLookupRules(), rowErrors = {}) {
+    const lookupErrors = mergeRowErrors(crudOperation === 'merge' ? {} : await resolveLookups(preparedData, lookupRules), rowErrors);
+    
+    // New documents also need their file, which is staged before the batch is sent
+    const createsDocuments = objectName === DOCUMENTS_OBJECT && crudOperation === 'insert';
+    if (createsDocuments) {
+        mergeRowErrors(lookupErrors, checkDocumentFiles(preparedData));
+    }
+    
+    const pushIndices = preparedData.map((record, index) => index).filter(index => !lookupErrors[index]);
+    if (createsDocuments && pushIndices.length > 0) {
+        await uploadDocumentFiles(pushIndices.map(index => preparedData[index]));
+    }
+    
+    const results = pushIndices.length > 0
+        ? await VeevaAPI.pushData(objectName, pushIndices.map(index => preparedData[index]), crudOperation, batchSize, progressCallback, options)
+        : { total: 0, success: 0, failures: 0, logs: [], records: [], recordSuccesses: 0, recordFailures: 0 };
+    
+    const records = results.records.map(record => ({ ...record, index: pushIndices[record.index] }));
+    Object.keys(lookupErrors).forEach(index => {
+        records.push({
+            index: parseInt(index),
+            status: 'Failure',
+            id: '',
+            errorType: [...new Set(lookupErrors[index].map(error => error.type))].join('; '),
+            errorMessage: lookupErrors[index].map(error => error.message).join('; ')
+        });
+    });
+    records.sort((a, b) => a.index - b.index);
+    
+    return {
+        ...results,
+        records: records,
+        recordFailures: results.recordFailures + Object.keys(lookupErrors).length
+    };
+}
+
+/**
+ * Validate prepared records against the object's metadata without pushing them
+ * @param {string} selectedObject - Target object
+ * @param {Array} preparedData - Prepared records
+ * @param {string} crudOperation - CRUD operation
+ * @param {Array} rowIndices - Input row index of each prepared record
+ * @param {Object} lookupErrors - Unresolved lookups and missing document files keyed by record index
+ * @param {string} keyField - Field identifying records for upsert
+ */
+async function executeValidation(selectedObject, preparedData, crudOperation, rowIndices, lookupErrors = {}, keyField = null) {
+    UIUtils.updateStatus('Validating records...');
+    UIUtils.updateProgress(50);
+    
+    const issues = await DataValidator.validate(selectedObject, preparedData, crudOperation, rowIndices, keyField);
+    Object.keys(lookupErrors).forEach(index => {
+        lookupErrors[index].forEach(error => {
+            issues.push(DataValidator.issue(rowIndices[index], error.field, error.value, error.type, error.message));
+        });
+    });
+    
+    AppState.setValidationResults({
+        object: selectedObject,
+        operation: crudOperation,
+        recordCount: preparedData.length,
+        issues: issues
+    });
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const invalidRows = new Set(issues.filter(issue => issue.index !== null).map(issue => issue.index)).size;
+    if (issues.length === 0) {
+        const message = `Dry run passed: all ${preparedData.length} records are valid for ${crudOperation}. Nothing was sent to Vault.`;
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        const message = `Dry run found ${issues.length} issues in ${invalidRows} of ${preparedData.length} records. Nothing was sent to Vault.`;
+        UIUtils.showNotification(message, 'warning');
+        Logger.warning(message);
+    }
+}
+
+/**
+ * Convert validation issues to report rows
+ * @param {Array} issues - Issues from DataValidator
+ * @returns {Array} - Report rows
+ */
+function getValidationReportRows(issues) {
+    return issues.map(issue => ({
+        'Row Number': issue.index === null ? 'All rows' : issue.index + 1,
+        'Field': issue.field,
+        'Value': issue.value,
+        'Issue Type': issue.type,
+        'Message': issue.message
+    }));
+}
+
+/**
+ * Show the summary and first issues of the last dry run
+ */
+function updateValidationResults() {
+    const validationResults = AppState.validationResults;
+    UIUtils.toggleClass('validationSection', 'hidden', !validationResults);
+    if (!validationResults) return;
+    
+    const { issues, recordCount, object, operation } = validationResults;
+    const summary = document.getElementById('validationSummary');
+    summary.innerHTML = '';
+    
+    const resultSpan = document.createElement('span');
+    resultSpan.className = issues.length === 0 ? 'result-success' : 'result-failure';
+    resultSpan.textContent = issues.length === 0 ? 'No issues found' : `${issues.length} issues found`;
+    summary.append(`${operation} on ${object}, ${recordCount} records: `, resultSpan);
+    
+    // Only the first issues are shown, the download has all of them
+    const rows = getValidationReportRows(issues.slice(0, 200));
+    const columns = ['Row Number', 'Field', 'Value', 'Issue Type', 'Message'];
+    const table = document.getElementById('validationTable');
+    table.innerHTML = '';
+    
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(reportRow => {
+        const row = document.createElement('tr');
+        columns.forEach(column => {
+            const cell = document.createElement('td');
+            cell.textContent = reportRow[column];
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    document.getElementById('downloadValidationBtn').disabled = issues.length === 0;
+    
+    // Highlight the failing cells in the preview grid
+    PreviewGrid.render();
+}
+
+/**
+ * Download all issues of the last dry run as CSV
+ */
+function downloadValidationReport() {
+    const validationResults = AppState.validationResults;
+    if (!validationResults || validationResults.issues.length === 0) return;
+    
+    const fileName = `${validationResults.object}_${validationResults.operation}_validation.csv`;
+    const rows = getValidationReportRows(validationResults.issues);
+    FileUtils.downloadFile(fileName, FileUtils.dataToCSV(rows, ['Row Number', 'Field', 'Value', 'Issue Type', 'Message']), 'text/csv;charset=utf-8;');
+    Logger.info(`Downloaded validation report to ${fileName}`);
+}
+
+/**
+ * Show the summary of the last push
+ */
+function updatePushResults() {
+    const pushResults = AppState.pushResults;
+    UIUtils.toggleClass('pushResultsSection', 'hidden', !pushResults);
+    if (!pushResults) return;
+    
+    const successCount = pushResults.records.filter(record => record.status === 'Success').length;
+    const failureCount = pushResults.records.length - successCount;
+    
+    const summary = document.getElementById('pushResultsSummary');
+    summary.innerHTML = '';
+    summary.append(`${pushResults.operation} on ${pushResults.object}: `);
+    
+    const successSpan = document.createElement('span');
+    successSpan.className = 'result-success';
+    successSpan.textContent = `${successCount} succeeded`;
+    summary.append(successSpan, ', ');
+    
+    const failureSpan = document.createElement('span');
+    failureSpan.className = 'result-failure';
+    failureSpan.textContent = `${failureCount} failed`;
+    summary.append(failureSpan);
+    
+    document.getElementById('downloadSuccessBtn').disabled = successCount === 0;
+    document.getElementById('downloadErrorBtn').disabled = failureCount === 0;
+    document.getElementById('retryFailuresBtn').disabled = failureCount === 0;
+    document.getElementById('editFailuresBtn').disabled = failureCount === 0;
+    
+    // Keep an open editor in sync with the remaining failures
+    if (!document.getElementById('failedRowsEditor').classList.contains('hidden')) {
+        renderFailedRowsEditor();
+    }
+}
+
+/**
+ * Re-submit only the failed rows of the last push, keeping their row numbers
+ */
+async function retryFailedRecords() {
+    if (AppState.operationInProgress || !AppState.pushResults) {
+        return;
+    }
+    
+    const pushResults = AppState.pushResults;
+    
+    // Rows excluded in the preview grid since the push are not retried
+    const failedRecords = pushResults.records.filter(record => record.status === 'Failure' && !pushResults.excludedRows.has(record.index));
+    if (failedRecords.length === 0) {
+        UIUtils.showNotification('There are no failed records to retry', 'info');
+        return;
+    }
+    
+    AppState.operationInProgress = true;
+    UIUtils.toggleClass('loadingIndicator', 'hidden', false);
+    
+    try {
+        if (!initializeAPIFromForm()) {
+            return;
+        }
+        
+        if (!confirmProductionWrite(`retry ${failedRecords.length} failed ${pushResults.operation} records of ${pushResults.object}`)) {
+            return;
+        }
+        
+        Logger.info(`Retrying ${failedRecords.length} failed records...`);
+        UIUtils.updateStatus('Retrying failed records...');
+        UIUtils.updateProgress(20);
+        
+        // Rows are prepared with the mappings of the push, even if they were changed since
+        const transformErrors = {};
+        const preparedData = prepareData(failedRecords.map(record => record.inputRow), pushResults.operation, pushResults.mapping, transformErrors);
+        const batchSize = parseInt(document.getElementById('batchSize').value);
+        
+        const progressCallback = (currentBatch, totalBatches) => {
+            UIUtils.updateStatus(`Retrying batch ${currentBatch} of ${totalBatches}`);
+            UIUtils.updateProgress(Math.min(90, 20 + (currentBatch / totalBatches * 70)));
+        };
+        
+        const results = await pushPreparedRecords(pushResults.object, preparedData, pushResults.operation, batchSize, progressCallback, pushResults.pushOptions, pushResults.mapping.lookupRules, transformErrors);
+        
+        // Update the original entries so the report keeps its row numbers
+        results.records.forEach(result => {
+            const record = failedRecords[result.index];
+            record.status = result.status;
+            record.id = result.id;
+            record.errorType = result.errorType;
+            record.errorMessage = result.errorMessage;
+            record.attempts = (record.attempts || 1) + 1;
+        });
+        
+        AppState.setPushResults(pushResults);
+        
+        UIUtils.updateStatus('Completed');
+        UIUtils.updateProgress(100);
+        
+        const message = `Retry completed: ${results.recordSuccesses} of ${failedRecords.length} records succeeded`;
+        if (results.recordFailures === 0) {
+            UIUtils.showNotification(message, 'success');
+            Logger.success(message);
+        } else {
+            UIUtils.showNotification(message, 'warning');
+            Logger.warning(message);
+        }
+    } catch (error) {
+        UIUtils.showNotification(`Retry failed: ${error.message}`, 'error');
+        UIUtils.updateStatus('Failed');
+        Logger.error(`Retry failed: ${error.message}`);
+    } finally {
+        UIUtils.toggleClass('loadingIndicator', 'hidden', true);
+        AppState.reset();
+    }
+}
+
+/**
+ * Show the failed rows of the last push in an editable table
+ */
+function renderFailedRowsEditor() {
+    const pushResults = AppState.pushResults;
+    const table = document.getElementById('failedRowsTable');
+    table.innerHTML = '';
+    if (!pushResults) return;
+    
+    const failedRecords = pushResults.records.filter(record => record.status === 'Failure');
+    
+    const headerRow = document.createElement('tr');
+    ['Row Number', ...pushResults.columns, 'Error'].forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    failedRecords.forEach(record => {
+        const row = document.createElement('tr');
+        
+        const rowNumberCell = document.createElement('td');
+        rowNumberCell.textContent = record.rowNumber;
+        row.appendChild(rowNumberCell);
+        
+        pushResults.columns.forEach(column => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = record.inputRow[column] || '';
+            input.addEventListener('change', () => {
+                record.inputRow[column] = input.value;
+            });
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        
+        const errorCell = document.createElement('td');
+        errorCell.className = 'result-failure';
+        errorCell.textContent = `${record.errorType}: ${record.errorMessage}`;
+        row.appendChild(errorCell);
+        
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+}
+
+/**
+ * Toggle the failed rows editor
+ */
+function toggleFailedRowsEditor() {
+    const editor = document.getElementById('failedRowsEditor');
+    const show = editor.classList.contains('hidden');
+    if (show) {
+        renderFailedRowsEditor();
+    }
+    UIUtils.toggleClass('failedRowsEditor', 'hidden', !show);
+}
+
+/**
+ * Apply a corrected error file to the failed rows of the last push
+ * @param {Event} event - File input change event
+ */
+async function handleCorrectedFileUpload(event) {
+    const file = event.target.files[0];
+    const pushResults = AppState.pushResults;
+    if (!file || !pushResults) return;
+    
+    try {
+        const fileData = await FileUtils.readFile(file);
+        
+        if (!fileData.columns.includes('Row Number')) {
+            UIUtils.showNotification('The corrected file must keep the Row Number column of the error file', 'error');
+            return;
+        }
+        
+        let updated = 0;
+        fileData.data.forEach(row => {
+            const rowNumber = parseInt(row['Row Number']);
+            const record = pushResults.records.find(result => result.rowNumber === rowNumber && result.status === 'Failure');
+            if (!record) return;
+            
+            pushResults.columns.forEach(column => {
+                if (row.hasOwnProperty(column)) {
+                    record.inputRow[column] = row[column];
+                }
+            });
+            updated++;
+        });
+        
+        if (!document.getElementById('failedRowsEditor').classList.contains('hidden')) {
+            renderFailedRowsEditor();
+        }
+        
+        Logger.info(`Applied corrections to ${updated} failed rows from ${file.name}`);
+        UIUtils.showNotification(`Applied corrections to ${updated} failed rows. Click Retry Failures to re-submit them.`, 'info');
+    } catch (error) {
+        UIUtils.showNotification(`Failed to load corrected file: ${error.message}`, 'error');
+        Logger.error(`Failed to load corrected file: ${error.message}`);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Download the successful or failed rows of the last push as CSV
+ * @param {string} status - Success or Failure
+ */
+function downloadPushResultFile(status) {
+    const pushResults = AppState.pushResults;
+    if (!pushResults) return;
+    
+    const records = pushResults.records.filter(record => record.status === status);
+    if (records.length === 0) {
+        UIUtils.showNotification(`No ${status === 'Success' ? 'successful' : 'failed'} records to download`, 'info');
+        return;
+    }
+    
+    let columns;
+    let rows;
+    if (status === 'Success') {
+        // Original row with the Vault id assigned to it
+        columns = ['Row Number', 'Vault ID', ...pushResults.columns];
+        rows = records.map(record => ({
+            ...record.inputRow,
+            'Row Number': record.rowNumber,
+            'Vault ID': record.id
+        }));
+    } else {
+        // Original row with the reason it was rejected
+        columns = ['Row Number', ...pushResults.columns, 'Error Type', 'Error Message'];
+        rows = records.map(record => ({
+            ...record.inputRow,
+            'Row Number': record.rowNumber,
+            'Error Type': record.errorType,
+            'Error Message': record.errorMessage
+        }));
+    }
+    
+    const suffix = status === 'Success' ? 'success' : 'error';
+    const fileName = `${pushResults.object}_${pushResults.operation}_${suffix}.csv`;
+    FileUtils.downloadFile(fileName, FileUtils.dataToCSV(rows, columns), 'text/csv;charset=utf-8;');
+    Logger.info(`Downloaded ${records.length} rows to ${fileName}`);
+}
+
+/**
+ * Show the options of the selected attachment direction
+ */
+function updateAttachmentMode() {
+    const mode = document.querySelector('input[name="attachmentMode"]:checked').value;
+    UIUtils.toggleClass('attachmentDownloadOptions', 'hidden', mode !== 'download');
+    UIUtils.toggleClass('attachmentUploadOptions', 'hidden', mode !== 'upload');
+}
+
+/**
+ * Offer the record id and the name and unique fields of the selected object as attachment record keys
+ */
+function updateAttachmentKeyFields() {
+    const select = document.getElementById('attachmentKeyField');
+    const currentValue = select.value;
+    
+    const keyFields = AppState.availableFields
+        .map(field => AppState.getFieldMetadata(field))
+        .filter(metadata => metadata && metadata.name !== 'id' && (metadata.unique || metadata.name === 'name__v'));
+    
+    select.innerHTML = '<option value="id">Record ID (id)</option>';
+    keyFields.forEach(metadata => {
+        const option = document.createElement('option');
+        option.value = metadata.name;
+        option.textContent = `${metadata.label} (${metadata.name})`;
+        select.appendChild(option);
+    });
+    
+    if (keyFields.some(metadata => metadata.name === currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+/**
+ * Execute attachments operation
+ */
+async function executeAttachmentOperation() {
+    Logger.info('Starting attachments operation...');
+    
+    const selectedObject = document.getElementById('attachmentObjectCombo').value;
+    const keyField = document.getElementById('attachmentKeyField').value || 'id';
+    const mode = document.querySelector('input[name="attachmentMode"]:checked').value;
+    
+    if (!selectedObject) {
+        UIUtils.showNotification('Please select a Veeva Vault object', 'error');
+        return;
+    }
+    
+    if (mode === 'download') {
+        await downloadAttachments(selectedObject, keyField);
+    } else {
+        await uploadAttachments(selectedObject, keyField);
+    }
+}
+
+/**
+ * Download the attachments of the selected records as a ZIP with one folder per record and a manifest
+ * @param {string} selectedObject - Object whose records are read
+ * @param {string} keyField - Record key added to the manifest
+ */
+async function downloadAttachments(selectedObject, keyField) {
+    const criteria = document.getElementById('attachmentCriteria').value.trim();
+    let zipName = document.getElementById('attachmentZipName').value.trim() || `${selectedObject}_attachments.zip`;
+    if (!zipName.toLowerCase().endsWith('.zip')) {
+        zipName += '.zip';
+    }
+    
+    UIUtils.updateStatus('Fetching records...');
+    UIUtils.updateProgress(10);
+    
+    const fields = ['id', 'name__v'].concat(['id', 'name__v'].includes(keyField) ? [] : [keyField]);
+    const query = `SELECT ${fields.join(', ')} FROM ${selectedObject}${criteria ? ` WHERE ${criteria}` : ''}`;
+    Logger.info(`Running VQL: ${query}`);
+    const records = await VeevaAPI.queryData(query);
+    
+    const entries = [];
+    const manifest = [];
+    const keyColumn = keyField === 'id' ? 'record_id' : keyField;
+    let failedRecords = 0;
+    
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        UIUtils.updateStatus(`Downloading attachments of record ${i + 1} of ${records.length}...`);
+        UIUtils.updateProgress(10 + (i / records.length * 80));
+        
+        try {
+            const attachments = await VeevaAPI.fetchAttachments(selectedObject, record.id);
+            const usedNames = new Set();
+            
+            for (const attachment of attachments) {
+                const file = await VeevaAPI.downloadAttachment(selectedObject, record.id, attachment.id);
+                
+                // Records may hold several files with the same name
+                const fileName = usedNames.has(attachment.fileName) ? `${attachment.id}_${attachment.fileName}` : attachment.fileName;
+                usedNames.add(fileName);
+                const zipPath = `${record.id}/${fileName}`;
+                
+                entries.push({ name: zipPath, data: file });
+                manifest.push({
+                    record_id: record.id,
+                    name__v: record.name__v,
+                    ...(keyColumn !== 'record_id' && keyColumn !== 'name__v' ? { [keyColumn]: record[keyField] } : {}),
+                    attachment_id: attachment.id,
+                    file_name: attachment.fileName,
+                    version: attachment.version,
+                    size: attachment.size,
+                    md5_checksum: attachment.md5,
+                    zip_path: zipPath
+                });
+            }
+        } catch (error) {
+            failedRecords++;
+            Logger.error(`Record ${record.id}: ${error.message}`);
+        }
+    }
+    
+    UIUtils.updateStatus('Creating ZIP file...');
+    UIUtils.updateProgress(95);
+    
+    entries.unshift({ name: ATTACHMENT_MANIFEST_NAME, data: FileUtils.dataToCSV(manifest, getRecordColumns(manifest)) });
+    const zip = await FileUtils.createZip(entries);
+    FileUtils.downloadFile(zipName, zip, 'application/zip');
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const message = `Downloaded ${manifest.length} attachments of ${records.length} ${selectedObject} records to ${zipName}`;
+    if (failedRecords === 0) {
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        UIUtils.showNotification(`${message}; ${failedRecords} records failed, see the log`, 'warning');
+        Logger.warning(`${message}; ${failedRecords} records failed`);
+    }
+}
+
+/**
+ * Upload the files of a ZIP as attachments, matching them to records through its manifest or folder names
+ * @param {string} selectedObject - Object whose records receive the attachments
+ * @param {string} keyField - Field identifying records in the ZIP
+ */
+async function uploadAttachments(selectedObject, keyField) {
+    const zipFile = document.getElementById('attachmentZip').files[0];
+    if (!zipFile) {
+        UIUtils.showNotification('Please select a ZIP file', 'error');
+        return;
+    }
+    
+    UIUtils.updateStatus('Reading ZIP file...');
+    UIUtils.updateProgress(10);
+    
+    const entries = await FileUtils.readZip(zipFile);
+    const entriesByPath = {};
+    entries.forEach(entry => {
+        entriesByPath[entry.name] = entry;
+    });
+    
+    // A manifest names the record of each file; otherwise the top folder does
+    const keyColumn = keyField === 'id' ? 'record_id' : keyField;
+    const manifestEntry = entries.find(entry => entry.name.toLowerCase() === ATTACHMENT_MANIFEST_NAME);
+    let items;
+    if (manifestEntry) {
+        const parseResult = Papa.parse(new TextDecoder().decode(manifestEntry.data), { header: true, skipEmptyLines: true });
+        const columns = parseResult.meta.fields || [];
+        if (!columns.includes('zip_path') || !columns.includes(keyColumn)) {
+            throw new Error(`${ATTACHMENT_MANIFEST_NAME} needs zip_path and ${keyColumn} columns`);
+        }
+        
+        items = parseResult.data.map(row => ({
+            path: row.zip_path,
+            key: String(row[keyColumn] || '').trim(),
+            fileName: row.file_name || row.zip_path.split('/').pop(),
+            entry: entriesByPath[row.zip_path]
+        }));
+    } else {
+        items = entries.map(entry => {
+            const parts = entry.name.split('/');
+            return {
+                path: entry.name,
+                key: parts.length > 1 ? parts[0] : '',
+                fileName: parts[parts.length - 1],
+                entry: entry
+            };
+        });
+    }
+    
+    // Record ids are used as they are, other keys are looked up
+    const keys = [...new Set(items.map(item => item.key).filter(key => key))];
+    let ids = {};
+    if (keyField === 'id') {
+        keys.forEach(key => {
+            ids[VeevaAPI.normalizeLookupValue(key)] = [key];
+        });
+    } else if (keys.length > 0) {
+        UIUtils.updateStatus(`Resolving records by ${keyField}...`);
+        ids = await VeevaAPI.lookupRecordIds(selectedObject, keyField, keys);
+    }
+    
+    if (!confirmProductionWrite(`upload ${items.length} attachments to ${selectedObject} records`)) {
+        return;
+    }
+    
+    const results = [];
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const matches = ids[VeevaAPI.normalizeLookupValue(item.key)] || [];
+        const result = {
+            zip_path: item.path,
+            [keyColumn]: item.key,
+            record_id: matches.length === 1 ? matches[0] : '',
+            file_name: item.fileName,
+            status: 'Failure',
+            attachment_id: '',
+            version: '',
+            error: ''
+        };
+        
+        UIUtils.updateStatus(`Uploading attachment ${i + 1} of ${items.length}...`);
+        UIUtils.updateProgress(20 + (i / items.length * 75));
+        
+        if (!item.entry) {
+            result.error = 'File is not in the ZIP';
+        } else if (!item.key) {
+            result.error = `No ${keyColumn} for this file`;
+        } else if (matches.length !== 1) {
+            result.error = matches.length === 0
+                ? `No ${selectedObject} record has ${keyField} "${item.key}"`
+                : `${matches.length} ${selectedObject} records have ${keyField} "${item.key}"`;
+        } else {
+            try {
+                const attachment = await VeevaAPI.uploadAttachment(selectedObject, result.record_id, item.fileName, item.entry.data);
+                result.status = 'Success';
+                result.attachment_id = attachment.id;
+                result.version = attachment.version;
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+        
+        if (result.status === 'Failure') {
+            Logger.error(`${item.path}: ${result.error}`);
+        }
+        results.push(result);
+    }
+    
+    FileUtils.downloadFile(`${selectedObject}_attachment_upload_results.csv`, FileUtils.dataToCSV(results, getRecordColumns(results)), 'text/csv;charset=utf-8;');
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const uploaded = results.filter(result => result.status === 'Success').length;
+    const message = `Uploaded ${uploaded} of ${results.length} attachments to ${selectedObject}`;
+    if (uploaded === results.length) {
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        UIUtils.showNotification(`${message}. See the downloaded results file for details.`, 'warning');
+        Logger.warning(message);
+    }
+}
+
+/**
+ * Show the options of the selected picklist direction
+ */
+function updatePicklistMode() {
+    const mode = document.querySelector('input[name="picklistMode"]:checked').value;
+    UIUtils.toggleClass('picklistExportOptions', 'hidden', mode !== 'export');
+    UIUtils.toggleClass('picklistLoadOptions', 'hidden', mode !== 'load');
+}
+
+/**
+ * Execute picklists operation
+ */
+async function executePicklistOperation() {
+    Logger.info('Starting picklists operation...');
+    
+    const mode = document.querySelector('input[name="picklistMode"]:checked').value;
+    if (mode === 'export') {
+        await exportPicklists();
+    } else {
+        await loadPicklistValues();
+    }
+}
+
+/**
+ * Export the values of all picklists, or those whose name or label contains the filter
+ */
+async function exportPicklists() {
+    const exportFile = document.getElementById('picklistExportFile').value.trim();
+    const format = document.querySelector('input[name="picklistFormat"]:checked').value;
+    const filter = document.getElementById('picklistNameFilter').value.trim().toLowerCase();
+    
+    if (!exportFile) {
+        UIUtils.showNotification('Please specify an output file for the picklist export', 'error');
+        return;
+    }
+    
+    const fileName = exportFile.replace(/\.(csv|xlsx)$/i, '') + (format === 'excel' ? '.xlsx' : '.csv');
+    
+    UIUtils.updateStatus('Fetching picklists...');
+    UIUtils.updateProgress(10);
+    
+    const picklists = (await VeevaAPI.fetchPicklists())
+        .filter(picklist => !filter || picklist.name.toLowerCase().includes(filter) || picklist.label.toLowerCase().includes(filter));
+    
+    const rows = [];
+    let failedPicklists = 0;
+    for (let i = 0; i < picklists.length; i++) {
+        const picklist = picklists[i];
+        UIUtils.updateStatus(`Fetching values of picklist ${i + 1} of ${picklists.length}...`);
+        UIUtils.updateProgress(10 + (i / picklists.length * 80));
+        
+        try {
+            const values = await VeevaAPI.fetchPicklistValues(picklist.name, true);
+            values.forEach(value => rows.push({
+                picklist: picklist.name,
+                picklist_label: picklist.label,
+                value_name: value.name,
+                value_label: value.label,
+                status: value.status,
+                order: value.order
+            }));
+        } catch (error) {
+            failedPicklists++;
+            Logger.error(`Failed to read the values of picklist ${picklist.name}: ${error.message}`);
+        }
+    }
+    
+    UIUtils.updateStatus('Saving data...');
+    UIUtils.updateProgress(95);
+    
+    if (format === 'excel') {
+        const excelBlob = FileUtils.sheetsToExcel([{ name: 'Picklists', data: rows, columns: PICKLIST_COLUMNS }]);
+        FileUtils.downloadFile(fileName, excelBlob, excelBlob.type);
+    } else {
+        FileUtils.downloadFile(fileName, FileUtils.dataToCSV(rows, PICKLIST_COLUMNS), 'text/csv;charset=utf-8;');
+    }
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const message = `Exported ${rows.length} values of ${picklists.length} picklists to ${fileName}`;
+    if (failedPicklists === 0) {
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        UIUtils.showNotification(`${message}; ${failedPicklists} picklists could not be read, see the log`, 'warning');
+        Logger.warning(`${message}; ${failedPicklists} picklists could not be read`);
+    }
+}
+
+/**
+ * Read the selected picklist file and compare it with the picklists in Vault
+ * @returns {Promise<Object|null>} - {fileName, changes, unchanged}, or null when no file is selected
+ */
+async function readPicklistChanges() {
+    const file = document.getElementById('picklistFile').files[0];
+    if (!file) {
+        UIUtils.showNotification('Please select a picklist values file', 'error');
+        return null;
+    }
+    
+    UIUtils.updateStatus('Reading picklist file...');
+    UIUtils.updateProgress(10);
+    
+    const fileData = await FileUtils.readFile(file);
+    const missingColumns = ['picklist', 'value_label'].filter(column => !fileData.columns.includes(column));
+    if (missingColumns.length > 0) {
+        throw new Error(`The picklist file needs ${missingColumns.join(' and ')} columns`);
+    }
+    
+    UIUtils.updateStatus('Comparing with Vault picklists...');
+    UIUtils.updateProgress(30);
+    
+    const { changes, unchanged } = await computePicklistChanges(fileData.data);
+    return { fileName: file.name, changes, unchanged, applied: false };
+}
+
+/**
+ * Compare picklist file rows with the current picklist values
+ * @param {Array} rows - Rows of {picklist, value_name, value_label, status}
+ * @returns {Promise<Object>} - {changes, unchanged}; changes are {rowNumber, picklist, valueName, change, currentLabel, newLabel, currentStatus, newStatus, result, error}
+ */
+async function computePicklistChanges(rows) {
+    const rowsByPicklist = {};
+    rows.forEach((row, index) => {
+        const text = column => String(row[column] === undefined || row[column] === null ? '' : row[column]).trim();
+        const picklist = text('picklist');
+        if (!picklist) return;
+        
+        rowsByPicklist[picklist] = rowsByPicklist[picklist] || [];
+        rowsByPicklist[picklist].push({
+            rowNumber: index + 1,
+            valueName: text('value_name'),
+            label: text('value_label'),
+            status: text('status').toLowerCase()
+        });
+    });
+    
+    const changes = [];
+    let unchanged = 0;
+    const change = (row, picklist, type, current, error = '') => changes.push({
+        rowNumber: row.rowNumber,
+        picklist,
+        valueName: row.valueName,
+        change: type,
+        currentLabel: current ? current.label : '',
+        newLabel: row.label,
+        currentStatus: current ? current.status : '',
+        newStatus: row.status,
+        result: error ? 'Failure' : '',
+        error
+    });
+    
+    for (const picklist of Object.keys(rowsByPicklist)) {
+        let currentValues;
+        try {
+            currentValues = await VeevaAPI.fetchPicklistValues(picklist, true);
+        } catch (error) {
+            rowsByPicklist[picklist].forEach(row => change(row, picklist, 'Error', null, `Picklist ${picklist} could not be read`));
+            continue;
+        }
+        
+        const currentByName = {};
+        currentValues.forEach(value => {
+            currentByName[value.name] = value;
+        });
+        
+        // A value listed twice cannot be applied as either row, so all its rows are rejected
+        const rowNumbersByName = {};
+        rowsByPicklist[picklist].filter(row => row.valueName).forEach(row => {
+            rowNumbersByName[row.valueName] = (rowNumbersByName[row.valueName] || []).concat(row.rowNumber);
+        });
+        
+        rowsByPicklist[picklist].forEach(row => {
+            const current = currentByName[row.valueName];
+            const duplicateRows = row.valueName ? rowNumbersByName[row.valueName] : [];
+            if (duplicateRows.length > 1) {
+                change(row, picklist, 'Error', current, `Value ${row.valueName} is listed more than once, on rows ${duplicateRows.join(', ')}`);
+            } else if (row.status && row.status !== 'active' && row.status !== 'inactive') {
+                change(row, picklist, 'Error', current, `Status "${row.status}" must be active or inactive`);
+            } else if (!current) {
+                // Values missing from Vault are added, and inactivated afterwards when the file says so
+                if (row.label) {
+                    change(row, picklist, 'Add', null);
+                } else {
+                    change(row, picklist, 'Error', null, 'A value_label is needed to add a value');
+                }
+            } else {
+                const relabel = row.label && row.label !== current.label;
+                const restatus = row.status && row.status !== current.status;
+                if (relabel) {
+                    change(row, picklist, 'Relabel', current);
+                }
+                if (restatus) {
+                    change(row, picklist, row.status === 'active' ? 'Activate' : 'Inactivate', current);
+                }
+                if (!relabel && !restatus) {
+                    unchanged++;
+                }
+            }
+        });
+    }
+    
+    return { changes, unchanged };
+}
+
+/**
+ * Preview the changes a picklist load would make without applying them
+ */
+async function previewPicklistChanges() {
+    if (AppState.operationInProgress) {
+        return;
+    }
+    
+    AppState.operationInProgress = true;
+    UIUtils.toggleClass('loadingIndicator', 'hidden', false);
+    
+    try {
+        if (!initializeAPIFromForm()) {
+            return;
+        }
+        
+        const picklistChanges = await readPicklistChanges();
+        if (!picklistChanges) return;
+        
+        AppState.setPicklistChanges(picklistChanges);
+        Logger.info(`Picklist preview: ${picklistChanges.changes.length} changes, ${picklistChanges.unchanged} values unchanged`);
+    } catch (error) {
+        UIUtils.showNotification(`Preview failed: ${error.message}`, 'error');
+        Logger.error(`Picklist preview failed: ${error.message}`);
+    } finally {
+        UIUtils.toggleClass('loadingIndicator', 'hidden', true);
+        AppState.reset();
+    }
+}
+
+/**
+ * Compare the picklist file with Vault again and apply the changes after confirmation
+ */
+async function loadPicklistValues() {
+    const picklistChanges = await readPicklistChanges();
+    if (!picklistChanges) return;
+    AppState.setPicklistChanges(picklistChanges);
+    
+    const pending = picklistChanges.changes.filter(change => change.change !== 'Error');
+    if (pending.length === 0) {
+        UIUtils.showNotification('The picklists in Vault already match the file', 'info');
+        return;
+    }
+    
+    const picklistCount = new Set(pending.map(change => change.picklist)).size;
+    if (!confirm(`Apply ${pending.length} changes to ${picklistCount} picklists?`)) {
+        Logger.info('Picklist load cancelled');
+        return;
+    }
+    
+    if (!confirmProductionWrite(`apply ${pending.length} picklist changes`)) {
+        return;
+    }
+    
+    await applyPicklistChanges(pending);
+    AppState.setPicklistChanges({ ...picklistChanges, applied: true });
+    
+    UIUtils.updateStatus('Completed');
+    UIUtils.updateProgress(100);
+    
+    const succeeded = pending.filter(change => change.result === 'Success').length;
+    const message = `Applied ${succeeded} of ${pending.length} picklist changes`;
+    if (succeeded === pending.length) {
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
+    } else {
+        UIUtils.showNotification(`${message}. See the Picklist Changes section for details.`, 'warning');
+        Logger.warning(message);
+    }
+}
+
+/**
+ * Apply picklist changes, recording the outcome on each change
+ * @param {Array} changes - Changes from computePicklistChanges, without errors
+ */
+async function applyPicklistChanges(changes) {
+    const succeed = change => {
+        change.result = 'Success';
+        Logger.info(`${change.change} ${change.picklist}.${change.valueName}`);
+    };
+    const fail = (change, message) => {
+        change.result = 'Failure';
+        change.error = message;
+        Logger.error(`${change.change} ${change.picklist}.${change.valueName || change.newLabel}: ${message}`);
+    };
+    
+    const picklists = [...new Set(changes.map(change => change.picklist))];
+    for (let i = 0; i < picklists.length; i++) {
+        const picklist = picklists[i];
+        const picklistChanges = changes.filter(change => change.picklist === picklist);
+        UIUtils.updateStatus(`Updating picklist ${i + 1} of ${picklists.length}...`);
+        UIUtils.updateProgress(40 + (i / picklists.length * 55));
         
-        if (crudOperation === 'merge') {
-            // For merge, use data directly without mapping
-            preparedData = AppState.inputFileData.data.map(row => {
-                const cleanRow = {};
-                Object.keys(row).forEach(key => {
-                    cleanRow[key] = row[key] === null ? '' : String(row[key]);
-                });
-                return cleanRow;
-            });
-            
-            Logger.info('Using direct data for merge operation - no column mapping applied');
-        } else {
-            // Process with column mapping for other operations
-            AppState.inputFileData.data.forEach(row => {
-                const mappedRow = {};
-                
-                Object.keys(AppState.columnMappings).forEach(fileCol => {
-                    const vaultField = AppState.columnMappings[fileCol];
-                    if (vaultField) {
-                        mappedRow[vaultField] = row[fileCol] === null ? '' : String(row[fileCol]);
+        // New values are created together, then renamed to the value names of the file
+        const additions = picklistChanges.filter(change => change.change === 'Add');
+        if (additions.length > 0) {
+            try {
+                const created = await VeevaAPI.createPicklistValues(picklist, additions.map(change => change.newLabel));
+                for (let j = 0; j < additions.length; j++) {
+                    const addition = additions[j];
+                    const value = created[j];
+                    if (!value) {
+                        fail(addition, 'Vault did not return the created value');
+                        continue;
                     }
-                });
-                
-                preparedData.push(mappedRow);
-            });
+                    
+                    try {
+                        if (addition.valueName && addition.valueName !== value.name) {
+                            await VeevaAPI.updatePicklistValue(picklist, value.name, { name: addition.valueName });
+                        } else {
+                            addition.valueName = value.name;
+                        }
+                        if (addition.newStatus === 'inactive') {
+                            await VeevaAPI.inactivatePicklistValue(picklist, addition.valueName);
+                        }
+                        succeed(addition);
+                    } catch (error) {
+                        fail(addition, `Created as ${value.name}, but ${error.message}`);
+                    }
+                }
+            } catch (error) {
+                additions.forEach(addition => fail(addition, error.message));
+            }
         }
         
-        Logger.info(`Prepared ${preparedData.length} records for upload`);
-        
-        // Push data to Vault
-        UIUtils.updateStatus('Uploading data...');
-        UIUtils.updateProgress(20);
-        
-        const progressCallback = (currentBatch, totalBatches) => {
-            const percent = Math.min(90, 20 + (currentBatch / totalBatches * 70));
-            UIUtils.updateStatus(`Processing batch ${currentBatch} of ${totalBatches}`);
-            UIUtils.updateProgress(percent);
-        };
-        
-        const results = await VeevaAPI.pushData(
-            selectedObject,
-            preparedData,
-            crudOperation,
-            batchSize,
-            progressCallback
-        );
-        
-        // Send email notification if enabled
-        if (document.getElementById('emailNotification').checked) {
-            const emailSettings = ConfigStorage.loadEmailSettings();
-            if (emailSettings) {
-                const reportData = {
-                    operation: 'push',
-                    subject: `Veeva Vault Data ${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} Report: ${selectedObject}`,
-                    object: selectedObject,
-                    recordCount: preparedData.length,
-                    crudOperation: crudOperation,
-                    status: results.success === results.total ? 'Successful' : 'Partially successful',
-                    successBatches: results.success,
-                    totalBatches: results.total
-                };
-                
-                await VeevaAPI.sendEmailNotification(emailSettings, reportData);
+        const relabels = picklistChanges.filter(change => change.change === 'Relabel');
+        if (relabels.length > 0) {
+            const labels = {};
+            relabels.forEach(change => {
+                labels[change.valueName] = change.newLabel;
+            });
+            try {
+                await VeevaAPI.relabelPicklistValues(picklist, labels);
+                relabels.forEach(succeed);
+            } catch (error) {
+                relabels.forEach(change => fail(change, error.message));
             }
         }
         
-        // Complete
-        UIUtils.updateStatus('Completed');
-        UIUtils.updateProgress(100);
-        
-        // Report results
-        if (results.success === results.total) {
-            const message = `${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} operation completed successfully. All ${results.total} batches processed.`;
-            UIUtils.showNotification(message, 'success');
-            Logger.success(message);
-        } else {
-            const message = `${crudOperation.charAt(0).toUpperCase() + crudOperation.slice(1)} operation completed with errors. ${results.success} of ${results.total} batches processed successfully.`;
-            UIUtils.showNotification(message, 'warning');
-            Logger.warning(message);
+        for (const change of picklistChanges.filter(change => change.change === 'Activate' || change.change === 'Inactivate')) {
+            try {
+                if (change.change === 'Activate') {
+                    await VeevaAPI.updatePicklistValue(picklist, change.valueName, { status: 'active' });
+                } else {
+                    await VeevaAPI.inactivatePicklistValue(picklist, change.valueName);
+                }
+                succeed(change);
+            } catch (error) {
+                fail(change, error.message);
+            }
         }
-        
-        // Log details
-        results.logs.forEach(log => {
-            if (log.status === 200) {
-                Logger.info(`Batch ${log.batch}: ${log.message}`);
-            } else {
-                Logger.error(`Batch ${log.batch}: ${log.message}`);
+    }
+}
+
+/**
+ * Show the picklist changes of the last preview or load
+ */
+function updatePicklistChanges() {
+    const picklistChanges = AppState.picklistChanges;
+    UIUtils.toggleClass('picklistDiffSection', 'hidden', !picklistChanges);
+    if (!picklistChanges) return;
+    
+    const { fileName, changes, unchanged, applied } = picklistChanges;
+    const summary = document.getElementById('picklistDiffSummary');
+    summary.innerHTML = '';
+    
+    const errorCount = changes.filter(change => change.result === 'Failure').length;
+    const changeCount = changes.filter(change => change.change !== 'Error').length;
+    summary.append(`${fileName}: ${applied ? 'applied' : 'would apply'} ${changeCount} changes, ${unchanged} values unchanged`);
+    if (errorCount > 0) {
+        const errorSpan = document.createElement('span');
+        errorSpan.className = 'result-failure';
+        errorSpan.textContent = `${errorCount} with errors`;
+        summary.append(', ', errorSpan);
+    }
+    
+    const columns = ['Row Number', 'Picklist', 'Value', 'Change', 'Current Label', 'New Label', 'Current Status', 'New Status', 'Result'];
+    const table = document.getElementById('picklistDiffTable');
+    table.innerHTML = '';
+    
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    changes.forEach(change => {
+        const values = [
+            change.rowNumber,
+            change.picklist,
+            change.valueName,
+            change.change,
+            change.currentLabel,
+            change.newLabel,
+            change.currentStatus,
+            change.newStatus,
+            change.error ? `${change.result}: ${change.error}` : change.result
+        ];
+        const row = document.createElement('tr');
+        values.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === columns.length - 1 && change.result) {
+                cell.className = change.result === 'Success' ? 'result-success' : 'result-failure';
             }
+            row.appendChild(cell);
         });
-    } catch (error) {
-        throw error;
-    }
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
 }
 
 /**
@@ -860,6 +3761,8 @@ async function executeMetadataOperation() {
         
         // Get metadata-specific inputs
         const metadataFile = document.getElementById('metadataFile').value;
+        const metadataFormat = document.querySelector('input[name="metadataFormat"]:checked').value;
+        const includePicklists = document.getElementById('includePicklists').checked;
         
         // Validate inputs
         if (!metadataFile) {
@@ -870,11 +3773,10 @@ async function executeMetadataOperation() {
         UIUtils.updateStatus('Fetching objects...');
         UIUtils.updateProgress(10);
         
-        // Ensure filename has .csv extension
-        let fileName = metadataFile;
-        if (!fileName.toLowerCase().endsWith('.csv')) {
-            fileName += '.csv';
-        }
+        // Ensure correct file extension
+        const extension = metadataFormat === 'excel' ? '.xlsx' : '.csv';
+        let fileName = metadataFile.replace(/\.(csv|xlsx)$/i, '');
+        fileName += extension;
         
         // Export metadata
         const progressCallback = (current, total) => {
@@ -884,14 +3786,25 @@ async function executeMetadataOperation() {
             UIUtils.updateProgress(percent);
         };
         
-        const metadata = await VeevaAPI.exportMetadata(progressCallback);
+        const metadata = await VeevaAPI.exportMetadata(progressCallback, { includePicklists });
         
-        // Save to CSV
+        // Save the data dictionary
         UIUtils.updateStatus('Saving data...');
         UIUtils.updateProgress(95);
         
-        const csvContent = FileUtils.dataToCSV(metadata, ['Object Name', 'Field Name']);
-        FileUtils.downloadFile(fileName, csvContent, 'text/csv;charset=utf-8;');
+        if (metadataFormat === 'excel') {
+            const excelBlob = FileUtils.sheetsToExcel([
+                { name: 'Objects', data: metadata.objects, columns: getRecordColumns(metadata.objects) },
+                { name: 'Fields', data: metadata.fields, columns: getRecordColumns(metadata.fields) },
+                { name: 'Picklists', data: metadata.picklists, columns: getRecordColumns(metadata.picklists) },
+                { name: 'Relationships', data: metadata.relationships, columns: getRecordColumns(metadata.relationships) }
+            ]);
+            FileUtils.downloadFile(fileName, excelBlob, excelBlob.type);
+        } else {
+            // CSV holds the field dictionary, with picklist values inline
+            const csvContent = FileUtils.dataToCSV(metadata.fields, getRecordColumns(metadata.fields));
+            FileUtils.downloadFile(fileName, csvContent, 'text/csv;charset=utf-8;');
+        }
         
         // Send email notification if enabled
         if (document.getElementById('emailNotification').checked) {
@@ -901,7 +3814,7 @@ async function executeMetadataOperation() {
                     operation: 'metadata',
                     subject: 'Veeva Vault Objects & Fields Export Report',
                     object: 'All Objects',
-                    recordCount: metadata.length,
+                    recordCount: metadata.fields.length,
                     fileName: fileName
                 };
                 
@@ -913,41 +3826,447 @@ async function executeMetadataOperation() {
         UIUtils.updateStatus('Completed');
         UIUtils.updateProgress(100);
         
-        const objectCount = new Set(metadata.map(item => item['Object Name'])).size;
-        UIUtils.showNotification(`Successfully exported ${objectCount} objects with ${metadata.length} fields to ${fileName}`, 'success');
-        Logger.success(`Successfully exported ${objectCount} objects with ${metadata.length} fields to ${fileName}`);
+        const message = `Successfully exported ${metadata.objects.length} objects with ${metadata.fields.length} fields to ${fileName}`;
+        UIUtils.showNotification(message, 'success');
+        Logger.success(message);
     } catch (error) {
         throw error;
     }
 }
 
 /**
- * Save current configuration
+ * Fill the header profile switcher with the saved connection profiles
+ * @param {string} selectedName - Profile to select, or empty for none
+ */
+function updateProfileSwitcher(selectedName = '') {
+    const select = document.getElementById('profileSwitcher');
+    const profiles = ConfigStorage.loadConnectionProfiles();
+    
+    select.innerHTML = '<option value="">No profile</option>';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.production ? `${profile.name} (production)` : profile.name;
+        select.appendChild(option);
+    });
+    
+    select.value = profiles.some(profile => profile.name === selectedName) ? selectedName : '';
+    updateEnvironmentBanner();
+}
+
+/**
+ * Get the profile selected in the header switcher
+ * @returns {Object|null} - Connection profile, or null when none is selected
+ */
+function getActiveProfile() {
+    const name = document.getElementById('profileSwitcher').value;
+    return ConfigStorage.loadConnectionProfiles().find(profile => profile.name === name) || null;
+}
+
+/**
+ * Normalize a Vault URL for comparison
+ * @param {string} url - Vault URL
+ * @returns {string} - Lower case URL without trailing slashes
+ */
+function normalizeVaultUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+/**
+ * Find the production profile of the Vault in the connection form, whether or not that profile is selected
+ * @returns {Object|null} - Production profile with the same URL, or null
+ */
+function getProductionProfile() {
+    const apiUrl = normalizeVaultUrl(document.getElementById('apiUrl').value);
+    if (!apiUrl) return null;
+    return ConfigStorage.loadConnectionProfiles().find(profile => profile.production && normalizeVaultUrl(profile.apiUrl) === apiUrl) || null;
+}
+
+/**
+ * Load the connection of the profile selected in the header switcher into the connection form
+ */
+async function switchConnectionProfile() {
+    const profile = getActiveProfile();
+    if (profile) {
+        document.getElementById('apiUrl').value = profile.apiUrl || '';
+        document.getElementById('username').value = profile.username || '';
+        document.getElementById('password').value = '';
+        await fillSavedPassword();
+        document.getElementById('apiVersion').value = profile.apiVersion || DEFAULT_API_VERSION;
+        document.getElementById('corsProxy').value = profile.corsProxy || '';
+        document.getElementById('verifySSL').checked = profile.verifySSL !== false;
+        fillSignInSettings(profile);
+        document.getElementById('profileName').value = profile.name;
+        document.getElementById('profileColor').value = profile.color || 'blue';
+        document.getElementById('profileProduction').checked = !!profile.production;
+        
+        // Objects fetched from the previous Vault do not apply to this one
+        AppState.setVaultObjects([]);
+        Logger.info(`Switched to connection profile ${profile.name} (${profile.apiUrl})`);
+    }
+    
+    updateEnvironmentBanner();
+}
+
+/**
+ * Show which Vault the connection form points at, colored by its profile
+ */
+function updateEnvironmentBanner() {
+    const banner = document.getElementById('environmentBanner');
+    const apiUrl = document.getElementById('apiUrl').value.trim();
+    
+    // A production URL is flagged even when another profile is selected
+    const productionProfile = getProductionProfile();
+    const profile = productionProfile || getActiveProfile();
+    
+    banner.innerHTML = '';
+    banner.classList.toggle('hidden', !profile);
+    if (!profile) return;
+    
+    banner.style.backgroundColor = PROFILE_COLORS[profile.color] || PROFILE_COLORS.blue;
+    
+    const name = document.createElement('span');
+    name.textContent = profile.name;
+    const url = document.createElement('span');
+    url.className = 'environment-url';
+    url.textContent = normalizeVaultUrl(profile.apiUrl) === normalizeVaultUrl(apiUrl) ? apiUrl : `${apiUrl || 'No URL'} (differs from the profile URL ${profile.apiUrl})`;
+    banner.append(Object.assign(document.createElement('i'), { className: 'fas fa-server' }), name, url);
+    
+    if (productionProfile) {
+        const tag = document.createElement('span');
+        tag.className = 'environment-production';
+        tag.textContent = 'PRODUCTION';
+        banner.appendChild(tag);
+    }
+}
+
+/**
+ * Save the connection form as a named profile, replacing a profile of the same name
  */
-function saveConfiguration() {
+async function saveConnectionProfile() {
+    const name = document.getElementById('profileName').value.trim();
+    const apiUrl = document.getElementById('apiUrl').value.trim();
+    
+    if (!name || !apiUrl) {
+        UIUtils.showNotification('Please enter a profile name and the Veeva Vault API URL', 'error');
+        return;
+    }
+    
+    const profile = {
+        name: name,
+        apiUrl: apiUrl,
+        username: document.getElementById('username').value,
+        apiVersion: getApiVersion(),
+        corsProxy: document.getElementById('corsProxy').value.trim(),
+        verifySSL: document.getElementById('verifySSL').checked,
+        authMethod: getAuthMethod(),
+        sso: getSsoSettings(),
+        color: document.getElementById('profileColor').value,
+        production: document.getElementById('profileProduction').checked
+    };
+    
+    const profiles = ConfigStorage.loadConnectionProfiles().filter(existing => existing.name !== name);
+    profiles.push(profile);
+    profiles.sort((a, b) => a.name.localeCompare(b.name));
+    
+    if (ConfigStorage.saveConnectionProfiles(profiles)) {
+        const passwordSaved = await storePassword(`profile:${name}`, document.getElementById('password').value);
+        updateProfileSwitcher(name);
+        if (passwordSaved) {
+            UIUtils.showNotification(`Connection profile "${name}" saved`, 'success');
+        } else {
+            UIUtils.showNotification(`Connection profile "${name}" saved without the password`, 'warning');
+        }
+        Logger.success(`Saved connection profile "${name}" for ${apiUrl}${profile.production ? ' as production' : ''}`);
+    } else {
+        UIUtils.showNotification('Failed to save connection profile', 'error');
+    }
+}
+
+/**
+ * Delete the profile selected in the header switcher
+ */
+function deleteConnectionProfile() {
+    const name = document.getElementById('profileSwitcher').value;
+    if (!name) {
+        UIUtils.showNotification('Please select a connection profile to delete', 'error');
+        return;
+    }
+    
+    if (!confirm(`Delete connection profile "${name}"?`)) return;
+    
+    ConfigStorage.saveConnectionProfiles(ConfigStorage.loadConnectionProfiles().filter(profile => profile.name !== name));
+    CredentialStore.deletePassword(`profile:${name}`);
+    updateProfileSwitcher();
+    Logger.info(`Deleted connection profile "${name}"`);
+}
+
+/**
+ * Ask for the profile name before writing to a Vault saved as production
+ * @param {string} action - Description of the write, e.g. "insert 20 account__v records"
+ * @returns {boolean} - Whether to go ahead; always true outside production
+ */
+function confirmProductionWrite(action) {
+    const profile = getProductionProfile();
+    if (!profile) return true;
+    
+    const answer = prompt(`PRODUCTION VAULT\n\nYou are about to ${action} in ${profile.name} (${profile.apiUrl}).\n\nType the profile name to continue.`);
+    if (answer !== null && answer.trim() === profile.name) {
+        Logger.warning(`Confirmed ${action} in production profile ${profile.name}`);
+        return true;
+    }
+    
+    UIUtils.showNotification('Cancelled, nothing was written to production', 'info');
+    Logger.info(`Cancelled ${action} in production profile ${profile.name}`);
+    return false;
+}
+
+/**
+ * Id of the saved password for the connection form: the selected profile's, or the saved configuration's
+ * @returns {string} - Credential entry id
+ */
+function getPasswordEntryId() {
+    const profileName = document.getElementById('profileSwitcher').value;
+    return profileName ? `profile:${profileName}` : 'connection';
+}
+
+/**
+ * Encrypt and save a password, asking for the master passphrase when needed
+ * @param {string} id - Credential entry id
+ * @param {string} password - Password to save; nothing is kept when blank or when passwords are never saved
+ * @returns {Promise<boolean>} - Whether the password was saved or deliberately dropped
+ */
+async function storePassword(id, password) {
+    if (!password || document.getElementById('sessionOnlyPassword').checked) {
+        CredentialStore.deletePassword(id);
+        return true;
+    }
+    
+    if (!CredentialStore.isUnlocked() && !await requestPassphrase()) {
+        Logger.warning('The password was not saved because saved passwords are locked');
+        return false;
+    }
+    
+    await CredentialStore.savePassword(id, password);
+    return true;
+}
+
+/**
+ * Fill the password field from the saved passwords, if they are unlocked and hold one for the connection
+ */
+async function fillSavedPassword() {
+    const id = getPasswordEntryId();
+    if (!CredentialStore.isUnlocked() || !CredentialStore.hasPassword(id)) return;
+    
+    try {
+        document.getElementById('password').value = await CredentialStore.loadPassword(id);
+    } catch (error) {
+        Logger.error(`Failed to decrypt the saved password: ${error.message}`);
+    }
+}
+
+/**
+ * Show the master passphrase dialog, to set a passphrase or to unlock the saved passwords
+ * @returns {Promise<boolean>} - Resolves true once unlocked, false when cancelled
+ */
+function requestPassphrase() {
+    const creating = !CredentialStore.hasPassphrase();
+    document.getElementById('passphraseTitle').textContent = creating ? 'Set Master Passphrase' : 'Unlock Saved Passwords';
+    document.getElementById('passphraseHelp').textContent = creating
+        ? 'Passwords are encrypted in this browser with a key derived from this passphrase. It cannot be recovered if forgotten.'
+        : 'Enter the master passphrase to decrypt saved passwords until this page is closed or reloaded.';
+    UIUtils.toggleClass('passphraseConfirmGroup', 'hidden', !creating);
+    UIUtils.toggleClass('forgetPasswordsBtn', 'hidden', creating);
+    document.getElementById('masterPassphrase').value = '';
+    document.getElementById('masterPassphraseConfirm').value = '';
+    document.getElementById('passphraseError').textContent = '';
+    
+    // A request still open is cancelled by the new one
+    finishPassphraseRequest(false);
+    UIUtils.showModal('passphraseModal');
+    document.getElementById('masterPassphrase').focus();
+    
+    return new Promise(resolve => {
+        AppState.passphraseRequest = resolve;
+    });
+}
+
+/**
+ * Set or check the master passphrase entered in the dialog
+ */
+async function submitPassphrase() {
+    const passphrase = document.getElementById('masterPassphrase').value;
+    const errorLabel = document.getElementById('passphraseError');
+    const creating = !CredentialStore.hasPassphrase();
+    
+    if (creating && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        errorLabel.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+        return;
+    }
+    if (creating && passphrase !== document.getElementById('masterPassphraseConfirm').value) {
+        errorLabel.textContent = 'The passphrases do not match';
+        return;
+    }
+    
+    try {
+        if (creating) {
+            await CredentialStore.create(passphrase);
+            Logger.success('Master passphrase set');
+        } else {
+            await CredentialStore.unlock(passphrase);
+            Logger.info('Saved passwords unlocked until this page is closed or reloaded');
+        }
+    } catch (error) {
+        errorLabel.textContent = error.message;
+        return;
+    }
+    
+    await migratePlaintextPasswords();
+    finishPassphraseRequest(true);
+}
+
+/**
+ * Close the passphrase dialog and settle its request
+ * @param {boolean} unlocked - Whether the saved passwords were unlocked
+ */
+function finishPassphraseRequest(unlocked) {
+    UIUtils.hideModal('passphraseModal');
+    document.getElementById('masterPassphrase').value = '';
+    document.getElementById('masterPassphraseConfirm').value = '';
+    updateCredentialButtons();
+    
+    const resolve = AppState.passphraseRequest;
+    AppState.passphraseRequest = null;
+    if (resolve) resolve(unlocked);
+}
+
+/**
+ * Delete the master passphrase and all saved passwords, for when the passphrase is forgotten
+ */
+function forgetSavedPasswords() {
+    if (!confirm('Delete the master passphrase and every saved password?')) return;
+    
+    CredentialStore.reset();
+    finishPassphraseRequest(false);
+    UIUtils.showNotification('Saved passwords deleted', 'info');
+    Logger.warning('Deleted the master passphrase and all saved passwords');
+}
+
+/**
+ * Unlock the saved passwords, or lock them again and clear the password field
+ */
+async function toggleCredentialLock() {
+    if (CredentialStore.isUnlocked()) {
+        CredentialStore.lock();
+        document.getElementById('password').value = '';
+        updateCredentialButtons();
+        Logger.info('Saved passwords locked');
+    } else if (await requestPassphrase()) {
+        await fillSavedPassword();
+    }
+}
+
+/**
+ * Show the lock button only when a master passphrase exists, labeled with the action it performs
+ */
+function updateCredentialButtons() {
+    const button = document.getElementById('unlockPasswordsBtn');
+    button.classList.toggle('hidden', !CredentialStore.hasPassphrase());
+    button.innerHTML = CredentialStore.isUnlocked()
+        ? '<i class="fas fa-lock"></i> Lock Saved Passwords'
+        : '<i class="fas fa-unlock"></i> Unlock Saved Passwords';
+}
+
+/**
+ * Encrypt passwords that earlier versions saved in plain text, or delete them when passwords are never saved.
+ * Plain text passwords are never loaded into the form; while they cannot be encrypted they stay unused.
+ */
+async function migratePlaintextPasswords() {
+    const config = ConfigStorage.loadConfig();
+    const profiles = ConfigStorage.loadConnectionProfiles();
+    const configPassword = config && config.connection ? config.connection.password : '';
+    const plaintextCount = (configPassword ? 1 : 0) + profiles.filter(profile => profile.password).length;
+    if (plaintextCount === 0) return;
+    
+    // Encrypting needs the passphrase; unlocking runs this again, so there is nothing more to do here
+    const neverSave = document.getElementById('sessionOnlyPassword').checked;
+    if (!neverSave && !CredentialStore.isUnlocked()) {
+        Logger.warning(`${plaintextCount} passwords saved in plain text by an earlier version need the master passphrase to be encrypted`);
+        if (!await requestPassphrase()) {
+            Logger.warning('The plain text passwords stay unused until the saved passwords are unlocked');
+        }
+        return;
+    }
+    
+    let migrated = 0;
+    if (configPassword) {
+        // The configuration's password belongs to the profile it selects, as in saveConfiguration
+        const id = config.connection.profile ? `profile:${config.connection.profile}` : 'connection';
+        if (await storePassword(id, configPassword)) {
+            delete config.connection.password;
+            ConfigStorage.saveConfig(config);
+            migrated++;
+        }
+    }
+    
+    for (const profile of profiles.filter(profile => profile.password)) {
+        if (await storePassword(`profile:${profile.name}`, profile.password)) {
+            delete profile.password;
+            migrated++;
+        }
+    }
+    if (migrated > 0) {
+        ConfigStorage.saveConnectionProfiles(profiles);
+        Logger.success(neverSave
+            ? `Deleted ${migrated} plain text passwords from local storage because passwords are never saved`
+            : `Encrypted ${migrated} plain text passwords and removed them from local storage`);
+    }
+}
+
+/**
+ * Save current configuration; the password is saved encrypted, never in the configuration itself
+ */
+async function saveConfiguration() {
     try {
         const config = {
             connection: {
                 apiUrl: document.getElementById('apiUrl').value,
                 username: document.getElementById('username').value,
-                password: document.getElementById('password').value,
-                verifySSL: document.getElementById('verifySSL').checked
+                verifySSL: document.getElementById('verifySSL').checked,
+                sessionOnlyPassword: document.getElementById('sessionOnlyPassword').checked,
+                apiVersion: getApiVersion(),
+                corsProxy: document.getElementById('corsProxy').value.trim(),
+                authMethod: getAuthMethod(),
+                sso: getSsoSettings(),
+                profile: document.getElementById('profileSwitcher').value
             },
             lastUsed: {
                 operation: AppState.currentOperation,
                 crudOperation: AppState.crudOperation,
                 outputFile: document.getElementById('outputFile').value,
                 outputFormat: document.querySelector('input[name="outputFormat"]:checked').value,
+                pullMode: document.querySelector('input[name="pullMode"]:checked').value,
                 metadataFile: document.getElementById('metadataFile').value,
+                metadataFormat: document.querySelector('input[name="metadataFormat"]:checked').value,
+                includePicklists: document.getElementById('includePicklists').checked,
                 batchSize: document.getElementById('batchSize').value,
+                dryRun: document.getElementById('dryRun').checked,
+                requestFormat: document.getElementById('requestFormat').value,
+                migrationMode: document.getElementById('migrationMode').checked,
+                noTriggers: document.getElementById('noTriggers').checked,
+                pushLoaderMode: document.getElementById('pushLoaderMode').checked,
+                pullLoaderMode: document.getElementById('pullLoaderMode').checked,
                 emailNotification: document.getElementById('emailNotification').checked
             }
         };
         
         const success = ConfigStorage.saveConfig(config);
         
-        if (success) {
+        // Stored where fillSavedPassword looks for it: under the selected profile, if any
+        if (success && await storePassword(getPasswordEntryId(), document.getElementById('password').value)) {
             UIUtils.showNotification('Configuration saved successfully', 'success');
+        } else if (success) {
+            UIUtils.showNotification('Configuration saved without the password', 'warning');
         } else {
             UIUtils.showNotification('Failed to save configuration', 'error');
         }
@@ -969,8 +4288,20 @@ function loadSavedConfig() {
         if (config.connection) {
             document.getElementById('apiUrl').value = config.connection.apiUrl || '';
             document.getElementById('username').value = config.connection.username || '';
-            document.getElementById('password').value = config.connection.password || '';
             document.getElementById('verifySSL').checked = config.connection.verifySSL !== false;
+            document.getElementById('sessionOnlyPassword').checked = !!config.connection.sessionOnlyPassword;
+            document.getElementById('apiVersion').value = config.connection.apiVersion || DEFAULT_API_VERSION;
+            document.getElementById('corsProxy').value = config.connection.corsProxy || '';
+            fillSignInSettings(config.connection);
+            document.getElementById('profileSwitcher').value = config.connection.profile || '';
+            
+            const profile = getActiveProfile();
+            if (profile) {
+                document.getElementById('profileName').value = profile.name;
+                document.getElementById('profileColor').value = profile.color || 'blue';
+                document.getElementById('profileProduction').checked = !!profile.production;
+            }
+            updateEnvironmentBanner();
         }
         
         // Load last used values
@@ -997,16 +4328,57 @@ function loadSavedConfig() {
                 document.querySelector(`input[name="outputFormat"][value="${config.lastUsed.outputFormat}"]`).checked = true;
             }
             
+            // Set pull mode
+            if (config.lastUsed.pullMode) {
+                document.querySelector(`input[name="pullMode"][value="${config.lastUsed.pullMode}"]`).checked = true;
+                updatePullMode();
+            }
+            
             // Set metadata file
             if (config.lastUsed.metadataFile) {
                 document.getElementById('metadataFile').value = config.lastUsed.metadataFile;
             }
             
+            // Set metadata format
+            if (config.lastUsed.metadataFormat) {
+                document.querySelector(`input[name="metadataFormat"][value="${config.lastUsed.metadataFormat}"]`).checked = true;
+            }
+            
+            if (config.lastUsed.hasOwnProperty('includePicklists')) {
+                document.getElementById('includePicklists').checked = config.lastUsed.includePicklists;
+            }
+            
             // Set batch size
             if (config.lastUsed.batchSize) {
                 document.getElementById('batchSize').value = config.lastUsed.batchSize;
             }
             
+            if (config.lastUsed.hasOwnProperty('dryRun')) {
+                document.getElementById('dryRun').checked = config.lastUsed.dryRun;
+            }
+            
+            // Set request options
+            if (config.lastUsed.requestFormat) {
+                document.getElementById('requestFormat').value = config.lastUsed.requestFormat;
+            }
+            
+            if (config.lastUsed.hasOwnProperty('migrationMode')) {
+                document.getElementById('migrationMode').checked = config.lastUsed.migrationMode;
+            }
+            
+            if (config.lastUsed.hasOwnProperty('noTriggers')) {
+                document.getElementById('noTriggers').checked = config.lastUsed.noTriggers;
+            }
+            
+            // Set Vault Loader job modes
+            if (config.lastUsed.hasOwnProperty('pushLoaderMode')) {
+                document.getElementById('pushLoaderMode').checked = config.lastUsed.pushLoaderMode;
+            }
+            
+            if (config.lastUsed.hasOwnProperty('pullLoaderMode')) {
+                document.getElementById('pullLoaderMode').checked = config.lastUsed.pullLoaderMode;
+            }
+            
             // Set email notification
             if (config.lastUsed.hasOwnProperty('emailNotification')) {
                 document.getElementById('emailNotification').checked = config.lastUsed.emailNotification;
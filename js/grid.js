@@ -0,0 +1,245 @@
+/**
+ * Data preview grid for Veeva Vault Manager Web
+ */
+
+/**
+ * Paginated, editable preview of the uploaded file
+ */
+const PreviewGrid = {
+    // Rows rendered per page; only the current page is in the DOM
+    pageSize: 100,
+    page: 0,
+    
+    // View settings
+    sortColumn: null,
+    sortDirection: 'asc',
+    filterText: '',
+    showMode: 'all',
+    
+    /**
+     * Reset view settings for a new file
+     */
+    reset() {
+        this.page = 0;
+        this.sortColumn = null;
+        this.sortDirection = 'asc';
+        this.filterText = '';
+        this.showMode = 'all';
+        
+        document.getElementById('gridFilter').value = '';
+        document.getElementById('gridShowMode').value = 'all';
+    },
+    
+    /**
+     * Get validation issues for the current file keyed by row index, then file column
+     * @returns {Object} - Map of row index to {column: message}
+     */
+    getCellIssues() {
+        const cellIssues = {};
+        const validationResults = AppState.validationResults;
+        if (!validationResults) return cellIssues;
+        
+        // Issues are reported per Vault field, cells are per file column
+        const columnsByField = {};
+        Object.keys(AppState.columnMappings).forEach(column => {
+            const field = AppState.columnMappings[column];
+            if (field) {
+                columnsByField[field] = column;
+            }
+        });
+        
+        validationResults.issues.forEach(issue => {
+            if (issue.index === null) return;
+            
+            const column = columnsByField[issue.field] || null;
+            cellIssues[issue.index] = cellIssues[issue.index] || {};
+            cellIssues[issue.index][column] = cellIssues[issue.index][column]
+                ? `${cellIssues[issue.index][column]}; ${issue.message}`
+                : issue.message;
+        });
+        
+        return cellIssues;
+    },
+    
+    /**
+     * Get the indices of rows matching the current filter and sort
+     * @param {Object} cellIssues - Result of getCellIssues
+     * @returns {Array} - Row indices into AppState.inputFileData.data
+     */
+    getVisibleRows(cellIssues) {
+        const { data, columns } = AppState.inputFileData;
+        const filterText = this.filterText.toLowerCase();
+        
+        let indices = data.map((row, index) => index).filter(index => {
+            if (this.showMode === 'invalid' && !cellIssues[index]) return false;
+            if (this.showMode === 'excluded' && !AppState.excludedRows.has(index)) return false;
+            if (!filterText) return true;
+            
+            return columns.some(column => String(data[index][column] || '').toLowerCase().includes(filterText));
+        });
+        
+        if (this.sortColumn) {
+            const direction = this.sortDirection === 'asc' ? 1 : -1;
+            const column = this.sortColumn;
+            indices = indices.sort((a, b) => {
+                const valueA = String(data[a][column] || '');
+                const valueB = String(data[b][column] || '');
+                return valueA.localeCompare(valueB, undefined, { numeric: true }) * direction;
+            });
+        }
+        
+        return indices;
+    },
+    
+    /**
+     * Render the current page of the grid
+     */
+    render() {
+        const table = document.getElementById('previewTable');
+        table.innerHTML = '';
+        if (!AppState.inputFileData) return;
+        
+        const { data, columns } = AppState.inputFileData;
+        const cellIssues = this.getCellIssues();
+        const visibleRows = this.getVisibleRows(cellIssues);
+        
+        const pageCount = Math.max(1, Math.ceil(visibleRows.length / this.pageSize));
+        this.page = Math.min(this.page, pageCount - 1);
+        const pageRows = visibleRows.slice(this.page * this.pageSize, (this.page + 1) * this.pageSize);
+        
+        // Header with sortable column titles
+        const headerRow = document.createElement('tr');
+        ['Include', 'Row'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            headerRow.appendChild(th);
+        });
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.className = 'sortable';
+            th.textContent = column + (this.sortColumn === column ? (this.sortDirection === 'asc' ? ' ▲' : ' ▼') : '');
+            th.addEventListener('click', () => this.sortBy(column));
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        pageRows.forEach(index => {
+            const row = document.createElement('tr');
+            if (AppState.excludedRows.has(index)) {
+                row.className = 'excluded-row';
+            }
+            
+            const includeCell = document.createElement('td');
+            const includeBox = document.createElement('input');
+            includeBox.type = 'checkbox';
+            includeBox.checked = !AppState.excludedRows.has(index);
+            includeBox.addEventListener('change', () => {
+                AppState.setRowExcluded(index, !includeBox.checked);
+                row.classList.toggle('excluded-row', !includeBox.checked);
+                this.updateSummary(visibleRows.length);
+            });
+            includeCell.appendChild(includeBox);
+            row.appendChild(includeCell);
+            
+            const numberCell = document.createElement('td');
+            numberCell.textContent = index + 1;
+            if (cellIssues[index] && cellIssues[index][null]) {
+                numberCell.className = 'invalid-cell';
+                numberCell.title = cellIssues[index][null];
+            }
+            row.appendChild(numberCell);
+            
+            columns.forEach(column => {
+                const cell = document.createElement('td');
+                cell.contentEditable = 'true';
+                cell.textContent = data[index][column] || '';
+                
+                if (cellIssues[index] && cellIssues[index][column]) {
+                    cell.className = 'invalid-cell';
+                    cell.title = cellIssues[index][column];
+                }
+                
+                cell.addEventListener('blur', () => {
+                    if (cell.textContent !== (data[index][column] || '')) {
+                        this.updateCell(index, column, cell.textContent);
+                        cell.classList.remove('invalid-cell');
+                        cell.removeAttribute('title');
+                    }
+                });
+                row.appendChild(cell);
+            });
+            
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        
+        document.getElementById('gridPageLabel').textContent = `Page ${this.page + 1} of ${pageCount}`;
+        document.getElementById('gridPrevBtn').disabled = this.page === 0;
+        document.getElementById('gridNextBtn').disabled = this.page >= pageCount - 1;
+        this.updateSummary(visibleRows.length);
+    },
+    
+    /**
+     * Update the row counts shown above the grid
+     * @param {number} visibleCount - Number of rows matching the filter
+     */
+    updateSummary(visibleCount) {
+        const total = AppState.inputFileData ? AppState.inputFileData.data.length : 0;
+        document.getElementById('gridSummary').textContent =
+            `${visibleCount} of ${total} rows shown, ${AppState.excludedRows.size} excluded from push`;
+    },
+    
+    /**
+     * Store an edited cell value and drop validation issues it may have fixed
+     * @param {number} index - Row index
+     * @param {string} column - File column
+     * @param {string} value - New value
+     */
+    updateCell(index, column, value) {
+        AppState.inputFileData.data[index][column] = value;
+        
+        const field = AppState.columnMappings[column];
+        const validationResults = AppState.validationResults;
+        if (validationResults && field) {
+            validationResults.issues = validationResults.issues.filter(issue => !(issue.index === index && issue.field === field));
+        }
+        
+        Logger.info(`Row ${index + 1}: ${column} changed to "${value}"`);
+    },
+    
+    /**
+     * Sort by a column, toggling direction when it is already sorted
+     * @param {string} column - File column
+     */
+    sortBy(column) {
+        if (this.sortColumn === column) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortDirection = 'asc';
+        }
+        this.render();
+    },
+    
+    /**
+     * Apply the filter text and show mode from the toolbar
+     */
+    applyFilter() {
+        this.filterText = document.getElementById('gridFilter').value.trim();
+        this.showMode = document.getElementById('gridShowMode').value;
+        this.page = 0;
+        this.render();
+    },
+    
+    /**
+     * Move to another page
+     * @param {number} delta - Pages to move by
+     */
+    changePage(delta) {
+        this.page = Math.max(0, this.page + delta);
+        this.render();
+    }
+};
\ No newline at end of file
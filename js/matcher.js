@@ -0,0 +1,142 @@
+/**
+ * Column to field matching for Veeva Vault Manager Web
+ */
+
+/**
+ * Scores file columns against Vault field names and labels for auto-mapping
+ */
+const FieldMatcher = {
+    // Minimum score for a column to be mapped automatically
+    MIN_SCORE: 0.75,
+    
+    // Scores at or above these are shown as high and medium confidence
+    HIGH_CONFIDENCE: 0.95,
+    MEDIUM_CONFIDENCE: 0.85,
+    
+    /**
+     * Normalize a column name, field name or label for comparison
+     * @param {string} text - Name or label
+     * @returns {string} - Lower case words separated by single spaces, without the Vault suffix
+     */
+    normalize(text) {
+        return String(text)
+            .trim()
+            .replace(/__(v|c|vs|sys|cr|vr)$/i, '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+    
+    /**
+     * Similarity of two normalized names
+     * @param {string} a - Normalized name
+     * @param {string} b - Normalized name
+     * @returns {number} - Score from 0 to 1
+     */
+    similarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        
+        // Same words in another order or with different separators
+        const compactA = a.replace(/ /g, '');
+        const compactB = b.replace(/ /g, '');
+        if (compactA === compactB) return 0.98;
+        
+        const wordsA = new Set(a.split(' '));
+        const wordsB = new Set(b.split(' '));
+        const common = [...wordsA].filter(word => wordsB.has(word)).length;
+        const wordScore = common === wordsA.size && common === wordsB.size ? 0.96 : common / Math.max(wordsA.size, wordsB.size) * 0.9;
+        
+        const editScore = 1 - this.editDistance(compactA, compactB) / Math.max(compactA.length, compactB.length);
+        
+        return Math.max(wordScore, editScore * 0.95);
+    },
+    
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Number of single character edits
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    },
+    
+    /**
+     * Score a column against a field's API name and label
+     * @param {string} column - File column
+     * @param {Object} field - {name, label}
+     * @returns {Object} - {score, matchedOn} where matchedOn is 'name' or 'label'
+     */
+    score(column, field) {
+        if (column === field.name) {
+            return { score: 1, matchedOn: 'name' };
+        }
+        
+        const normalizedColumn = this.normalize(column);
+        const nameScore = this.similarity(normalizedColumn, this.normalize(field.name));
+        const labelScore = field.label ? this.similarity(normalizedColumn, this.normalize(field.label)) : 0;
+        
+        // Only an exact API name scores 1, so it wins over e.g. name__c against name__v
+        return labelScore > nameScore
+            ? { score: Math.min(labelScore, 0.99), matchedOn: 'label' }
+            : { score: Math.min(nameScore, 0.99), matchedOn: 'name' };
+    },
+    
+    /**
+     * Match columns to fields, best scores first, using each column and field at most once
+     * @param {Array} columns - File columns
+     * @param {Array} fields - Fields of {name, label}
+     * @returns {Object} - Matches keyed by column: {field, score, matchedOn}
+     */
+    match(columns, fields) {
+        const candidates = [];
+        columns.forEach(column => {
+            fields.forEach(field => {
+                const result = this.score(column, field);
+                if (result.score >= this.MIN_SCORE) {
+                    candidates.push({ column, field: field.name, ...result });
+                }
+            });
+        });
+        
+        candidates.sort((a, b) => b.score - a.score);
+        
+        const matches = {};
+        const usedFields = new Set();
+        candidates.forEach(candidate => {
+            if (matches[candidate.column] || usedFields.has(candidate.field)) return;
+            
+            matches[candidate.column] = { field: candidate.field, score: candidate.score, matchedOn: candidate.matchedOn };
+            usedFields.add(candidate.field);
+        });
+        
+        return matches;
+    },
+    
+    /**
+     * Confidence level for a score
+     * @param {number} score - Match score
+     * @returns {string} - 'high', 'medium' or 'low'
+     */
+    confidence(score) {
+        if (score >= this.HIGH_CONFIDENCE) return 'high';
+        if (score >= this.MEDIUM_CONFIDENCE) return 'medium';
+        return 'low';
+    }
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * OAuth 2.0 / OpenID Connect sign-in for Veeva Vault Manager Web
+ *
+ * Uses the authorization code flow with PKCE in a pop-up window. The identity provider redirects
+ * the pop-up back to this page, which hands the code to the opener and closes; the opener then
+ * exchanges the code for tokens at the provider's token endpoint.
+ */
+
+// Type of the message the pop-up posts to the opener after the identity provider redirects back
+const OAUTH_CALLBACK_MESSAGE = 'vault-manager-oauth-callback';
+
+// How long to wait for the user to finish signing in
+const OAUTH_SIGN_IN_TIMEOUT = 5 * 60 * 1000;
+
+// Lifetime assumed for access tokens when the token response has no expires_in
+const OAUTH_DEFAULT_TOKEN_LIFETIME = 60 * 60;
+
+/**
+ * Runs the authorization code flow with PKCE against an OpenID Connect identity provider
+ */
+const OAuthClient = {
+    // Provider configuration keyed by issuer URL
+    discoveryCache: {},
+    
+    /**
+     * Fetch the endpoints of an identity provider from its OpenID Connect discovery document
+     * @param {string} issuer - Issuer URL, e.g. https://idp.example.com or http://localhost:8080
+     * @returns {Promise<Object>} - Promise resolving to the discovery document
+     */
+    async discover(issuer) {
+        const issuerUrl = issuer.trim().replace(/\/+$/, '');
+        if (this.discoveryCache[issuerUrl]) {
+            return this.discoveryCache[issuerUrl];
+        }
+        
+        const response = await fetch(`${issuerUrl}/.well-known/openid-configuration`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Identity provider discovery failed: ${response.status}`);
+        }
+        
+        const configuration = await response.json();
+        if (!configuration.authorization_endpoint || !configuration.token_endpoint) {
+            throw new Error('The identity provider does not publish an authorization and token endpoint');
+        }
+        
+        this.discoveryCache[issuerUrl] = configuration;
+        return configuration;
+    },
+    
+    /**
+     * Address the identity provider redirects back to; it has to be registered for the client
+     * @returns {string} - URL of this page without query or fragment
+     */
+    getRedirectUri() {
+        return window.location.origin + window.location.pathname;
+    },
+    
+    /**
+     * Sign in with the identity provider in a pop-up window
+     * @param {Object} settings - {issuer, clientId, scope}
+     * @returns {Promise<Object>} - Promise resolving to {accessToken, idToken, expiresAt}
+     */
+    async signIn(settings) {
+        // Open the pop-up before anything is awaited, while the click still allows pop-ups
+        const popup = window.open('', 'vaultManagerSignIn', 'width=520,height=680');
+        if (!popup) {
+            throw new Error('The sign-in window was blocked; allow pop-ups for this page');
+        }
+        
+        try {
+            const configuration = await this.discover(settings.issuer);
+            const verifier = this.randomString();
+            const state = this.randomString();
+            const redirectUri = this.getRedirectUri();
+            
+            const params = new URLSearchParams({
+                response_type: 'code',
+                client_id: settings.clientId,
+                redirect_uri: redirectUri,
+                scope: settings.scope || 'openid',
+                state: state,
+                code_challenge: await this.createChallenge(verifier),
+                code_challenge_method: 'S256'
+            });
+            const separator = configuration.authorization_endpoint.includes('?') ? '&' : '?';
+            popup.location.href = configuration.authorization_endpoint + separator + params.toString();
+            
+            const callback = await this.waitForCallback(popup, state);
+            if (callback.error) {
+                throw new Error(`Sign-in failed: ${callback.error}${callback.error_description ? ` - ${callback.error_description}` : ''}`);
+            }
+            
+            return await this.exchangeCode(configuration.token_endpoint, callback.code, verifier, settings.clientId, redirectUri);
+        } finally {
+            if (!popup.closed) {
+                popup.close();
+            }
+        }
+    },
+    
+    /**
+     * Wait for the pop-up to post back the parameters of the redirect
+     * @param {Window} popup - Sign-in window
+     * @param {string} state - State sent with the authorization request
+     * @returns {Promise<Object>} - Promise resolving to the redirect's query parameters
+     */
+    waitForCallback(popup, state) {
+        return new Promise((resolve, reject) => {
+            const finish = (error, params) => {
+                window.removeEventListener('message', onMessage);
+                clearInterval(closedTimer);
+                clearTimeout(timeoutTimer);
+                error ? reject(error) : resolve(params);
+            };
+            
+            // Only this page, loaded in the pop-up, may answer, and only for this request
+            const onMessage = event => {
+                if (event.origin !== window.location.origin || event.source !== popup) return;
+                if (!event.data || event.data.type !== OAUTH_CALLBACK_MESSAGE) return;
+                
+                if (event.data.params.state !== state) {
+                    finish(new Error('Sign-in response did not match the request'));
+                } else {
+                    finish(null, event.data.params);
+                }
+            };
+            
+            const closedTimer = setInterval(() => {
+                if (popup.closed) finish(new Error('The sign-in window was closed'));
+            }, 500);
+            const timeoutTimer = setTimeout(() => finish(new Error('Sign-in timed out')), OAUTH_SIGN_IN_TIMEOUT);
+            
+            window.addEventListener('message', onMessage);
+        });
+    },
+    
+    /**
+     * Exchange an authorization code for tokens
+     * @param {string} tokenEndpoint - Token endpoint of the identity provider
+     * @param {string} code - Authorization code
+     * @param {string} verifier - PKCE code verifier the challenge was created from
+     * @param {string} clientId - Client ID registered with the identity provider
+     * @param {string} redirectUri - Redirect URI sent with the authorization request
+     * @returns {Promise<Object>} - Promise resolving to {accessToken, idToken, expiresAt}
+     */
+    async exchangeCode(tokenEndpoint, code, verifier, clientId, redirectUri) {
+        const response = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: code,
+                redirect_uri: redirectUri,
+                client_id: clientId,
+                code_verifier: verifier
+            }).toString()
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            throw new Error(`Token request failed: ${data.error || response.status}${data.error_description ? ` - ${data.error_description}` : ''}`);
+        }
+        
+        return {
+            accessToken: data.access_token,
+            idToken: data.id_token || null,
+            expiresAt: Date.now() + (parseInt(data.expires_in, 10) || OAUTH_DEFAULT_TOKEN_LIFETIME) * 1000
+        };
+    },
+    
+    /**
+     * Hand the redirect back to the window that started the sign-in, when this page was loaded in the pop-up
+     * @returns {boolean} - True if this page is the sign-in pop-up and should not start the app
+     */
+    handleRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        if (!window.opener || !params.has('state') || (!params.has('code') && !params.has('error'))) {
+            return false;
+        }
+        
+        window.opener.postMessage({ type: OAUTH_CALLBACK_MESSAGE, params: Object.fromEntries(params) }, window.location.origin);
+        window.close();
+        return true;
+    },
+    
+    /**
+     * Create a PKCE code challenge
+     * @param {string} verifier - Code verifier
+     * @returns {Promise<string>} - Base64url encoded SHA-256 of the verifier
+     */
+    async createChallenge(verifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return this.toBase64Url(new Uint8Array(digest));
+    },
+    
+    /**
+     * Create a random value for the code verifier or state
+     * @returns {string} - 43 base64url characters from 32 random bytes
+     */
+    randomString() {
+        return this.toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    },
+    
+    /**
+     * Encode bytes as base64url without padding
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64url text
+     */
+    toBase64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+};
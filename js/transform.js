@@ -0,0 +1,359 @@
+/**
+ * Mapping transformations for Veeva Vault Manager Web
+ *
+ * Expressions are a small formula language evaluated per input row:
+ *   value                      the mapped column's value
+ *   [Column Name]              any column of the row
+ *   "text", 'text', 12.5       literals
+ *   a & b                      concatenation
+ *   a = b, a <> b              comparison, giving "true" or "false"
+ *   FUNCTION(arg, ...)         one of TransformEngine.functions
+ */
+
+/**
+ * Compiles and evaluates mapping expressions
+ */
+const TransformEngine = {
+    // Compiled expressions keyed by source text
+    cache: {},
+    
+    // Tokens understood by DATE formats, longest first
+    DATE_TOKENS: /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g,
+    
+    // Pieces of a DATE format: [bracketed literal], a run of letters, or other literal text
+    DATE_FORMAT_PARTS: /\[([^\]]*)\]|[A-Za-z]+|[^A-Za-z[]+|\[/g,
+    
+    /**
+     * Functions available in expressions; arguments and results are strings
+     */
+    functions: {
+        CONCAT: (...args) => args.join(''),
+        TRIM: text => text.trim(),
+        UPPER: text => text.toUpperCase(),
+        LOWER: text => text.toLowerCase(),
+        LEFT: (text, count) => text.substring(0, parseInt(count)),
+        RIGHT: (text, count) => text.substring(Math.max(0, text.length - parseInt(count))),
+        REPLACE: (text, search, replacement = '') => search ? text.split(search).join(replacement) : text,
+        ISBLANK: text => String(text.trim() === ''),
+        COALESCE: (...args) => args.find(arg => arg.trim() !== '') || '',
+        IF: (condition, whenTrue = '', whenFalse = '') => TransformEngine.isTrue(condition) ? whenTrue : whenFalse,
+        DATE: (text, fromFormat, toFormat = 'YYYY-MM-DD') => TransformEngine.reformatDate(text, fromFormat, toFormat),
+        
+        // MAP(value, "from", "to", ..., "default"); unmatched values pass through without a default
+        MAP: (text, ...pairs) => {
+            for (let i = 0; i + 1 < pairs.length; i += 2) {
+                if (pairs[i] === text) return pairs[i + 1];
+            }
+            return pairs.length % 2 === 1 ? pairs[pairs.length - 1] : text;
+        }
+    },
+    
+    /**
+     * Compile an expression, reusing earlier compilations
+     * @param {string} expression - Expression source
+     * @param {boolean} useCache - Whether to keep the compilation; off for expressions still being typed
+     * @returns {Function} - Function (row, value) returning the result string
+     */
+    compile(expression, useCache = true) {
+        if (this.cache[expression]) {
+            return this.cache[expression];
+        }
+        
+        const node = this.parse(expression);
+        const compiled = (row, value) => this.evaluateNode(node, row, value);
+        if (useCache) {
+            this.cache[expression] = compiled;
+        }
+        return compiled;
+    },
+    
+    /**
+     * Evaluate an expression against a row
+     * @param {string} expression - Expression source
+     * @param {Object} row - Input file row
+     * @param {string} value - Value of the mapped column
+     * @param {boolean} useCache - Whether to keep the compilation for later rows
+     * @returns {string} - Result
+     */
+    evaluate(expression, row, value = '', useCache = true) {
+        return this.compile(expression, useCache)(row, value);
+    },
+    
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Expression source
+     * @returns {Array} - Tokens of {type, value, position}
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let position = 0;
+        
+        while (position < expression.length) {
+            const char = expression[position];
+            
+            if (/\s/.test(char)) {
+                position++;
+            } else if (char === '"' || char === "'") {
+                const end = expression.indexOf(char, position + 1);
+                if (end === -1) {
+                    throw new Error(`Unterminated string at position ${position + 1}`);
+                }
+                tokens.push({ type: 'string', value: expression.substring(position + 1, end), position });
+                position = end + 1;
+            } else if (char === '[') {
+                const end = expression.indexOf(']', position + 1);
+                if (end === -1) {
+                    throw new Error(`Missing ] for column at position ${position + 1}`);
+                }
+                tokens.push({ type: 'column', value: expression.substring(position + 1, end), position });
+                position = end + 1;
+            } else if (expression.startsWith('<>', position)) {
+                tokens.push({ type: 'operator', value: '<>', position });
+                position += 2;
+            } else if ('&=(),'.includes(char)) {
+                tokens.push({ type: char === '&' || char === '=' ? 'operator' : char, value: char, position });
+                position++;
+            } else {
+                const match = /^(-?\d+(\.\d+)?|[A-Za-z_][A-Za-z0-9_]*)/.exec(expression.substring(position));
+                if (!match) {
+                    throw new Error(`Unexpected "${char}" at position ${position + 1}`);
+                }
+                tokens.push({ type: /^-?\d/.test(match[0]) ? 'number' : 'name', value: match[0], position });
+                position += match[0].length;
+            }
+        }
+        
+        return tokens;
+    },
+    
+    /**
+     * Parse an expression into a syntax tree
+     * @param {string} expression - Expression source
+     * @returns {Object} - Root node
+     */
+    parse(expression) {
+        const tokens = this.tokenize(expression);
+        if (tokens.length === 0) {
+            throw new Error('Expression is empty');
+        }
+        
+        let current = 0;
+        const peek = () => tokens[current];
+        const expect = type => {
+            const token = tokens[current];
+            if (!token || token.type !== type) {
+                throw new Error(token ? `Expected "${type}" at position ${token.position + 1}` : `Expected "${type}" at end of expression`);
+            }
+            current++;
+            return token;
+        };
+        
+        // comparison := concatenation (("=" | "<>") concatenation)?
+        const parseComparison = () => {
+            const left = parseConcatenation();
+            const token = peek();
+            if (token && token.type === 'operator' && token.value !== '&') {
+                current++;
+                return { type: 'compare', operator: token.value, left, right: parseConcatenation() };
+            }
+            return left;
+        };
+        
+        // concatenation := primary ("&" primary)*
+        const parseConcatenation = () => {
+            const parts = [parsePrimary()];
+            while (peek() && peek().type === 'operator' && peek().value === '&') {
+                current++;
+                parts.push(parsePrimary());
+            }
+            return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+        };
+        
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) {
+                throw new Error('Unexpected end of expression');
+            }
+            current++;
+            
+            switch (token.type) {
+                case 'string':
+                case 'number':
+                    return { type: 'literal', value: token.value };
+                case 'column':
+                    return { type: 'column', name: token.value };
+                case '(': {
+                    const node = parseComparison();
+                    expect(')');
+                    return node;
+                }
+                case 'name': {
+                    const name = token.value.toUpperCase();
+                    if (name === 'VALUE') return { type: 'value' };
+                    if (name === 'TRUE' || name === 'FALSE') return { type: 'literal', value: name.toLowerCase() };
+                    if (name === 'NULL') return { type: 'literal', value: '' };
+                    
+                    if (!this.functions[name]) {
+                        throw new Error(`Unknown function ${token.value} at position ${token.position + 1}`);
+                    }
+                    expect('(');
+                    const args = [];
+                    if (peek() && peek().type !== ')') {
+                        args.push(parseComparison());
+                        while (peek() && peek().type === ',') {
+                            current++;
+                            args.push(parseComparison());
+                        }
+                    }
+                    expect(')');
+                    
+                    // Parameters without defaults are required
+                    const required = this.functions[name].length;
+                    if (args.length < required) {
+                        throw new Error(`${name} needs at least ${required} argument${required === 1 ? '' : 's'}`);
+                    }
+                    return { type: 'call', name, args };
+                }
+                default:
+                    throw new Error(`Unexpected "${token.value}" at position ${token.position + 1}`);
+            }
+        };
+        
+        const root = parseComparison();
+        if (current < tokens.length) {
+            throw new Error(`Unexpected "${tokens[current].value}" at position ${tokens[current].position + 1}`);
+        }
+        return root;
+    },
+    
+    /**
+     * Evaluate a syntax tree node
+     * @param {Object} node - Node from parse
+     * @param {Object} row - Input file row
+     * @param {string} value - Value of the mapped column
+     * @returns {string} - Result
+     */
+    evaluateNode(node, row, value) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'value':
+                return this.toText(value);
+            case 'column':
+                if (!row.hasOwnProperty(node.name)) {
+                    throw new Error(`Column [${node.name}] is not in the file`);
+                }
+                return this.toText(row[node.name]);
+            case 'concat':
+                return node.parts.map(part => this.evaluateNode(part, row, value)).join('');
+            case 'compare': {
+                const equal = this.evaluateNode(node.left, row, value) === this.evaluateNode(node.right, row, value);
+                return String(node.operator === '=' ? equal : !equal);
+            }
+            case 'call':
+                return this.toText(this.functions[node.name](...node.args.map(arg => this.evaluateNode(arg, row, value))));
+        }
+    },
+    
+    /**
+     * Convert a cell value to expression text
+     * @param {*} value - Cell value
+     * @returns {string} - Text, empty for null or undefined
+     */
+    toText(value) {
+        return value === null || value === undefined ? '' : String(value);
+    },
+    
+    /**
+     * Whether an expression result counts as true in IF
+     * @param {string} text - Result
+     * @returns {boolean} - False for blank and "false", true otherwise
+     */
+    isTrue(text) {
+        return text.trim() !== '' && text.trim().toLowerCase() !== 'false';
+    },
+    
+    /**
+     * Split a DATE format into tokens and literal text. A run of letters is a token only if it is made
+     * entirely of tokens, so "DD-Mon-YYYY" keeps Mon; other literal letters go in brackets, e.g. YYYY-MM-DD[T]HH:mm.
+     * @param {string} format - Date format
+     * @returns {Array} - Parts of {token} or {text}
+     */
+    splitDateFormat(format) {
+        const parts = [];
+        const isTokenRun = new RegExp(`^(?:${this.DATE_TOKENS.source})+$`);
+        
+        (format.match(this.DATE_FORMAT_PARTS) || []).forEach(part => {
+            if (part.startsWith('[') && part.endsWith(']') && part.length > 1) {
+                parts.push({ text: part.slice(1, -1) });
+            } else if (isTokenRun.test(part)) {
+                part.match(this.DATE_TOKENS).forEach(token => parts.push({ token }));
+            } else {
+                parts.push({ text: part });
+            }
+        });
+        return parts;
+    },
+    
+    /**
+     * Reformat a date between formats built from YYYY, YY, MM, M, DD, D, HH, H, mm and ss
+     * @param {string} text - Date text
+     * @param {string} fromFormat - Format of the text, e.g. MM/DD/YYYY
+     * @param {string} toFormat - Output format
+     * @returns {string} - Reformatted date, empty for blank input
+     */
+    reformatDate(text, fromFormat, toFormat) {
+        if (text.trim() === '') return '';
+        if (!fromFormat) {
+            throw new Error('DATE needs the format of the input, e.g. DATE(value, "MM/DD/YYYY")');
+        }
+        
+        // Build a pattern that captures each token of the input format
+        const order = [];
+        const pattern = this.splitDateFormat(fromFormat).map(part => {
+            if (part.text !== undefined) {
+                return part.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+            order.push(part.token);
+            return part.token === 'YYYY' ? '(\\d{4})' : part.token.length === 1 ? '(\\d{1,2})' : '(\\d{2})';
+        }).join('');
+        const match = new RegExp(`^${pattern}$`).exec(text.trim());
+        if (!match) {
+            throw new Error(`"${text}" does not match date format ${fromFormat}`);
+        }
+        
+        const parts = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+        order.forEach((token, i) => {
+            const number = parseInt(match[i + 1], 10);
+            switch (token[0]) {
+                case 'Y': parts.year = token === 'YY' ? (number < 50 ? 2000 : 1900) + number : number; break;
+                case 'M': parts.month = number; break;
+                case 'D': parts.day = number; break;
+                case 'H': parts.hour = number; break;
+                case 'm': parts.minute = number; break;
+                case 's': parts.second = number; break;
+            }
+        });
+        
+        // Reject dates such as 02/30 that JavaScript would roll over
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+        if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+            throw new Error(`"${text}" is not a valid date`);
+        }
+        
+        const pad = number => String(number).padStart(2, '0');
+        const output = {
+            YYYY: String(parts.year).padStart(4, '0'),
+            YY: pad(parts.year % 100),
+            MM: pad(parts.month),
+            M: String(parts.month),
+            DD: pad(parts.day),
+            D: String(parts.day),
+            HH: pad(parts.hour),
+            H: String(parts.hour),
+            mm: pad(parts.minute),
+            ss: pad(parts.second)
+        };
+        return this.splitDateFormat(toFormat).map(part => part.text !== undefined ? part.text : output[part.token]).join('');
+    }
+};
\ No newline at end of file
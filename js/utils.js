@@ -5,6 +5,14 @@
 // Constants
 const STORAGE_KEY = 'veeva_vault_manager_config';
 const EMAIL_STORAGE_KEY = 'veeva_vault_manager_email';
+const FIELD_SELECTION_STORAGE_KEY = 'veeva_vault_manager_field_selections';
+const MAPPING_TEMPLATE_STORAGE_KEY = 'veeva_vault_manager_mapping_templates';
+const PROFILE_STORAGE_KEY = 'veeva_vault_manager_profiles';
+const CREDENTIAL_STORAGE_KEY = 'veeva_vault_manager_credentials';
+
+// Key derivation for saved passwords, and the text encrypted to check a master passphrase
+const PASSPHRASE_ITERATIONS = 310000;
+const CREDENTIAL_CHECK_TEXT = 'veeva-vault-manager';
 
 // Log levels
 const LOG_LEVELS = {
@@ -125,6 +133,320 @@ const ConfigStorage = {
             Logger.error(`Failed to load email settings: ${error.message}`);
             return null;
         }
+    },
+    
+    /**
+     * Save the selected pull fields for an object
+     * @param {string} objectName - Name of the object
+     * @param {Array} fields - Ordered array of selected field names
+     */
+    saveFieldSelection(objectName, fields) {
+        try {
+            const storedSelections = localStorage.getItem(FIELD_SELECTION_STORAGE_KEY);
+            const selections = storedSelections ? JSON.parse(storedSelections) : {};
+            selections[objectName] = fields;
+            localStorage.setItem(FIELD_SELECTION_STORAGE_KEY, JSON.stringify(selections));
+            return true;
+        } catch (error) {
+            Logger.error(`Failed to save field selection: ${error.message}`);
+            return false;
+        }
+    },
+    
+    /**
+     * Load the selected pull fields for an object
+     * @param {string} objectName - Name of the object
+     * @returns {Array|null} - Ordered array of field names, empty when the picker was cleared, or null if never saved
+     */
+    loadFieldSelection(objectName) {
+        try {
+            const storedSelections = localStorage.getItem(FIELD_SELECTION_STORAGE_KEY);
+            const selections = storedSelections ? JSON.parse(storedSelections) : {};
+            return selections[objectName] || null;
+        } catch (error) {
+            Logger.error(`Failed to load field selection: ${error.message}`);
+            return null;
+        }
+    },
+    
+    /**
+     * Save all mapping templates
+     * @param {Array} templates - Templates of {name, object, headerSignature, columnMappings, columnTransforms, computedFields, savedAt}
+     * @returns {boolean} - Success status
+     */
+    saveMappingTemplates(templates) {
+        try {
+            localStorage.setItem(MAPPING_TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+            return true;
+        } catch (error) {
+            Logger.error(`Failed to save mapping templates: ${error.message}`);
+            return false;
+        }
+    },
+    
+    /**
+     * Load all mapping templates
+     * @returns {Array} - Saved templates
+     */
+    loadMappingTemplates() {
+        try {
+            const storedTemplates = localStorage.getItem(MAPPING_TEMPLATE_STORAGE_KEY);
+            return storedTemplates ? JSON.parse(storedTemplates) : [];
+        } catch (error) {
+            Logger.error(`Failed to load mapping templates: ${error.message}`);
+            return [];
+        }
+    },
+    
+    /**
+     * Save all connection profiles
+     * @param {Array} profiles - Profiles of {name, apiUrl, username, password, apiVersion, corsProxy, verifySSL, color, production}
+     * @returns {boolean} - Success status
+     */
+    saveConnectionProfiles(profiles) {
+        try {
+            localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            Logger.error(`Failed to save connection profiles: ${error.message}`);
+            return false;
+        }
+    },
+    
+    /**
+     * Load all connection profiles
+     * @returns {Array} - Saved profiles
+     */
+    loadConnectionProfiles() {
+        try {
+            const storedProfiles = localStorage.getItem(PROFILE_STORAGE_KEY);
+            return storedProfiles ? JSON.parse(storedProfiles) : [];
+        } catch (error) {
+            Logger.error(`Failed to load connection profiles: ${error.message}`);
+            return [];
+        }
+    }
+};
+
+/**
+ * Passwords encrypted with AES-GCM under a key derived from a master passphrase with PBKDF2.
+ * The derived key is not extractable and lives only in this page's memory, so a reload locks the passwords again.
+ */
+const CredentialStore = {
+    // Derived key while unlocked; never written to storage
+    key: null,
+    
+    /**
+     * Whether a master passphrase has been set
+     * @returns {boolean} - True if encrypted credentials exist
+     */
+    hasPassphrase() {
+        return this.load() !== null;
+    },
+    
+    /**
+     * Whether the derived key is available
+     * @returns {boolean} - True once unlocked since the page was loaded
+     */
+    isUnlocked() {
+        return this.key !== null;
+    },
+    
+    /**
+     * Whether a password is stored for an entry
+     * @param {string} id - Entry id, e.g. "connection" or "profile:Sandbox"
+     * @returns {boolean} - True if an encrypted password exists
+     */
+    hasPassword(id) {
+        const store = this.load();
+        return !!(store && store.entries[id]);
+    },
+    
+    /**
+     * Set a new master passphrase, dropping passwords encrypted under a previous one
+     * @param {string} passphrase - Master passphrase
+     */
+    async create(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, PASSPHRASE_ITERATIONS);
+        
+        this.save({
+            salt: this.toBase64(salt),
+            iterations: PASSPHRASE_ITERATIONS,
+            check: await this.encrypt(key, CREDENTIAL_CHECK_TEXT),
+            entries: {}
+        });
+        this.key = key;
+    },
+    
+    /**
+     * Unlock the stored passwords until the page is closed or reloaded
+     * @param {string} passphrase - Master passphrase
+     */
+    async unlock(passphrase) {
+        const store = this.load();
+        if (!store) {
+            throw new Error('No master passphrase has been set');
+        }
+        
+        const key = await this.deriveKey(passphrase, this.fromBase64(store.salt), store.iterations);
+        let check = null;
+        try {
+            check = await this.decrypt(key, store.check);
+        } catch (error) {
+            // AES-GCM rejects data decrypted with the wrong key
+        }
+        if (check !== CREDENTIAL_CHECK_TEXT) {
+            throw new Error('Wrong master passphrase');
+        }
+        
+        this.key = key;
+    },
+    
+    /**
+     * Forget the key
+     */
+    lock() {
+        this.key = null;
+    },
+    
+    /**
+     * Delete the passphrase and every password encrypted under it
+     */
+    reset() {
+        this.lock();
+        localStorage.removeItem(CREDENTIAL_STORAGE_KEY);
+    },
+    
+    /**
+     * Encrypt and store a password; an empty password deletes the entry
+     * @param {string} id - Entry id
+     * @param {string} password - Password to store
+     */
+    async savePassword(id, password) {
+        if (!password) {
+            this.deletePassword(id);
+            return;
+        }
+        if (!this.isUnlocked()) {
+            throw new Error('Saved passwords are locked');
+        }
+        
+        const store = this.load();
+        store.entries[id] = await this.encrypt(this.key, password);
+        this.save(store);
+    },
+    
+    /**
+     * Decrypt a stored password
+     * @param {string} id - Entry id
+     * @returns {Promise<string>} - Password, or empty if none is stored
+     */
+    async loadPassword(id) {
+        const store = this.load();
+        if (!store || !store.entries[id]) return '';
+        if (!this.isUnlocked()) {
+            throw new Error('Saved passwords are locked');
+        }
+        
+        return this.decrypt(this.key, store.entries[id]);
+    },
+    
+    /**
+     * Delete a stored password; this does not need the key
+     * @param {string} id - Entry id
+     */
+    deletePassword(id) {
+        const store = this.load();
+        if (store && store.entries[id]) {
+            delete store.entries[id];
+            this.save(store);
+        }
+    },
+    
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Master passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+    
+    /**
+     * Encrypt text with a fresh IV
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} text - Text to encrypt
+     * @returns {Promise<Object>} - {iv, data} in base64
+     */
+    async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    },
+    
+    /**
+     * Decrypt text encrypted by encrypt
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} encrypted - {iv, data} in base64
+     * @returns {Promise<string>} - Decrypted text
+     */
+    async decrypt(key, encrypted) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(encrypted.iv) }, key, this.fromBase64(encrypted.data));
+        return new TextDecoder().decode(data);
+    },
+    
+    /**
+     * Read the encrypted credential store
+     * @returns {Object|null} - {salt, iterations, check, entries} or null if no passphrase is set
+     */
+    load() {
+        try {
+            const storedCredentials = localStorage.getItem(CREDENTIAL_STORAGE_KEY);
+            return storedCredentials ? JSON.parse(storedCredentials) : null;
+        } catch (error) {
+            Logger.error(`Failed to load saved passwords: ${error.message}`);
+            return null;
+        }
+    },
+    
+    /**
+     * Write the encrypted credential store
+     * @param {Object} store - {salt, iterations, check, entries}
+     */
+    save(store) {
+        localStorage.setItem(CREDENTIAL_STORAGE_KEY, JSON.stringify(store));
+    },
+    
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} - Base64 text
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+    
+    /**
+     * Decode base64 to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
     }
 };
 
@@ -307,6 +629,20 @@ const FileUtils = {
         });
     },
     
+    /**
+     * Read a file as text
+     * @param {File} file - File to read
+     * @returns {Promise<string>} - Promise resolving to the file content
+     */
+    readTextFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = event => resolve(event.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    },
+    
     /**
      * Download data as a file
      * @param {string} filename - Name of the file to download
@@ -351,33 +687,212 @@ const FileUtils = {
      * Convert data to Excel format
      * @param {Array} data - Array of objects to convert
      * @param {Array} columns - Array of column names
+     * @param {string} sheetName - Name of the worksheet
      * @returns {Blob} - Excel file as blob
      */
-    dataToExcel(data, columns) {
+    dataToExcel(data, columns, sheetName = 'Sheet1') {
+        return this.sheetsToExcel([{ name: sheetName, data, columns }]);
+    },
+    
+    /**
+     * Convert several datasets to one Excel workbook, one worksheet each
+     * @param {Array} sheets - Array of {name, data, columns}
+     * @returns {Blob} - Excel file as blob
+     */
+    sheetsToExcel(sheets) {
         // Create a new workbook
         const wb = XLSX.utils.book_new();
         
-        // Convert data to worksheet
-        const wsData = data.map(row => {
-            const rowData = [];
-            columns.forEach(col => {
-                rowData.push(row[col] || '');
+        sheets.forEach(sheet => {
+            // Convert data to worksheet
+            const wsData = sheet.data.map(row => {
+                const rowData = [];
+                sheet.columns.forEach(col => {
+                    rowData.push(row[col] === undefined || row[col] === null ? '' : row[col]);
+                });
+                return rowData;
             });
-            return rowData;
+            
+            // Add header row
+            wsData.unshift(sheet.columns);
+            
+            // Create worksheet and add it to the workbook
+            const ws = XLSX.utils.aoa_to_sheet(wsData);
+            XLSX.utils.book_append_sheet(wb, ws, sheet.name);
         });
         
-        // Add header row
-        wsData.unshift(columns);
-        
-        // Create worksheet
-        const ws = XLSX.utils.aoa_to_sheet(wsData);
-        
-        // Add worksheet to workbook
-        XLSX.utils.book_append_sheet(wb, ws, 'Sheet1');
-        
         // Generate Excel file
         const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
         
         return new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    },
+    
+    // CRC-32 lookup table, built on first use
+    crcTable: null,
+    
+    /**
+     * Calculate the CRC-32 checksum used by ZIP files
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} - Unsigned checksum
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+    
+    /**
+     * Create a ZIP file; entries are stored without compression
+     * @param {Array} entries - Array of {name, data} where data is a string, Blob or Uint8Array
+     * @returns {Promise<Blob>} - ZIP file as blob
+     */
+    async createZip(entries) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+        
+        // Timestamps are stored in MS-DOS format
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const data = typeof entry.data === 'string'
+                ? encoder.encode(entry.data)
+                : entry.data instanceof Uint8Array ? entry.data : new Uint8Array(await entry.data.arrayBuffer());
+            const crc = this.crc32(data);
+            
+            if (offset + data.length > 0xFFFFFFFF) {
+                throw new Error('ZIP files over 4 GB are not supported');
+            }
+            
+            // Fields shared by the local header and the central directory: version, UTF-8 flag, no compression, time, date, CRC, sizes, name length
+            const common = new DataView(new ArrayBuffer(26));
+            common.setUint16(0, 20, true);
+            common.setUint16(2, 0x0800, true);
+            common.setUint16(4, 0, true);
+            common.setUint16(6, dosTime, true);
+            common.setUint16(8, dosDate, true);
+            common.setUint32(10, crc, true);
+            common.setUint32(14, data.length, true);
+            common.setUint32(18, data.length, true);
+            common.setUint16(22, name.length, true);
+            common.setUint16(24, 0, true);
+            
+            const localHeader = new DataView(new ArrayBuffer(4));
+            localHeader.setUint32(0, 0x04034B50, true);
+            parts.push(localHeader, common, name, data);
+            
+            const centralHeader = new DataView(new ArrayBuffer(6));
+            centralHeader.setUint32(0, 0x02014B50, true);
+            centralHeader.setUint16(4, 20, true);
+            const centralTail = new DataView(new ArrayBuffer(14));
+            centralTail.setUint32(10, offset, true);
+            centralDirectory.push(centralHeader, common, centralTail, name);
+            
+            offset += 30 + name.length + data.length;
+        }
+        
+        if (entries.length > 0xFFFF) {
+            throw new Error('ZIP files with more than 65535 entries are not supported');
+        }
+        
+        const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    },
+    
+    /**
+     * Read the files of a ZIP file; folders are skipped
+     * @param {Blob} file - ZIP file
+     * @returns {Promise<Array>} - Array of {name, data} with data as Uint8Array
+     */
+    async readZip(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        const decoder = new TextDecoder();
+        
+        // The end of central directory record is followed by a comment of up to 65535 bytes
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw new Error(`${file.name || 'File'} is not a ZIP file`);
+        }
+        
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = [];
+        
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('ZIP central directory is damaged');
+            }
+            
+            const flags = view.getUint16(offset + 8, true);
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+            
+            if (name.endsWith('/')) continue;
+            
+            if (flags & 0x1) {
+                throw new Error(`${name} is encrypted`);
+            }
+            if (compressedSize === 0xFFFFFFFF || localOffset === 0xFFFFFFFF) {
+                throw new Error('ZIP64 files are not supported');
+            }
+            
+            // Sizes come from the central directory; the local header may defer them to a data descriptor
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+            
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8) {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('This browser cannot read compressed ZIP files');
+                }
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                data = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`${name} uses an unsupported compression method (${method})`);
+            }
+            
+            entries.push({ name, data });
+        }
+        
+        return entries;
     }
 };
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * Record validation for Veeva Vault Manager Web
+ */
+
+// Issue types reported by the validator
+const VALIDATION_ISSUES = {
+    REQUIRED: 'REQUIRED_FIELD_MISSING',
+    MAX_LENGTH: 'MAX_LENGTH_EXCEEDED',
+    NUMBER: 'INVALID_NUMBER',
+    DATE: 'INVALID_DATE',
+    DATETIME: 'INVALID_DATETIME',
+    BOOLEAN: 'INVALID_BOOLEAN',
+    PICKLIST: 'INVALID_PICKLIST_VALUE',
+    DUPLICATE: 'DUPLICATE_UNIQUE_VALUE',
+    MISSING_ID: 'MISSING_ID',
+    MISSING_KEY: 'MISSING_UPSERT_KEY',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    READ_ONLY: 'READ_ONLY_FIELD',
+    UNRESOLVED_LOOKUP: 'UNRESOLVED_LOOKUP',
+    MISSING_FILE: 'MISSING_DOCUMENT_FILE',
+    TRANSFORM: 'TRANSFORM_ERROR'
+};
+
+/**
+ * Validates prepared records against object field metadata without calling Vault write APIs
+ */
+const DataValidator = {
+    /**
+     * Fetch the metadata needed to validate an object and validate records against it
+     * @param {string} objectName - Name of the target object
+     * @param {Array} records - Prepared records keyed by Vault field name
+     * @param {string} operation - CRUD operation (insert, update, upsert, delete, merge)
+     * @param {Array} rowIndices - Optional input row index of each record, used in reported issues
+     * @param {string} keyField - Field identifying records for upsert
+     * @returns {Promise<Array>} - Promise resolving to array of issues
+     */
+    async validate(objectName, records, operation, rowIndices = null, keyField = null) {
+        const metadata = await VeevaAPI.fetchObjectMetadata(objectName);
+        
+        // Only fetch picklists for fields that are actually being pushed
+        const pushedFields = new Set();
+        records.forEach(record => Object.keys(record).forEach(field => pushedFields.add(field)));
+        
+        const picklists = {};
+        for (const field of metadata.fields) {
+            if (field.picklist && pushedFields.has(field.name) && !picklists[field.picklist]) {
+                try {
+                    const values = await VeevaAPI.fetchPicklistValues(field.picklist);
+                    picklists[field.picklist] = values.filter(value => value.status !== 'inactive').map(value => value.name);
+                } catch (error) {
+                    Logger.warning(`Picklist ${field.picklist} could not be loaded, its values will not be checked`);
+                }
+            }
+        }
+        
+        return this.validateRecords(records, metadata.fields, operation, picklists, rowIndices, keyField);
+    },
+    
+    /**
+     * Validate records against field metadata
+     * @param {Array} records - Prepared records keyed by Vault field name
+     * @param {Array} fields - Field metadata from VeevaAPI.fetchObjectMetadata
+     * @param {string} operation - CRUD operation (insert, update, upsert, delete, merge)
+     * @param {Object} picklists - Valid value names keyed by picklist name
+     * @param {Array} rowIndices - Optional input row index of each record, used in reported issues
+     * @param {string} keyField - Field identifying records for upsert
+     * @returns {Array} - Array of {index, field, value, type, message}; index is null for file-level issues
+     */
+    validateRecords(records, fields, operation, picklists = {}, rowIndices = null, keyField = null) {
+        const issues = [];
+        const rowIndex = index => rowIndices ? rowIndices[index] : index;
+        const fieldsByName = {};
+        fields.forEach(field => {
+            fieldsByName[field.name] = field;
+        });
+        
+        const pushedFields = new Set();
+        records.forEach(record => Object.keys(record).forEach(field => pushedFields.add(field)));
+        
+        // Deletes only need the record id
+        if (operation === 'delete') {
+            records.forEach((record, index) => {
+                if (!this.hasValue(record.id)) {
+                    issues.push(this.issue(rowIndex(index), 'id', '', VALIDATION_ISSUES.MISSING_ID, 'Delete requires an id'));
+                }
+            });
+            return issues;
+        }
+        
+        pushedFields.forEach(fieldName => {
+            const field = fieldsByName[fieldName];
+            if (!field) {
+                issues.push(this.issue(null, fieldName, '', VALIDATION_ISSUES.UNKNOWN_FIELD, `${fieldName} is not a field of this object`));
+            } else if (!field.editable && fieldName !== 'id') {
+                issues.push(this.issue(null, fieldName, '', VALIDATION_ISSUES.READ_ONLY, `${fieldName} is read-only and will be rejected`));
+            }
+        });
+        
+        // Required fields only have to be supplied when creating records, which upserts do for keys not yet in Vault
+        const creates = operation === 'insert' || operation === 'upsert';
+        const whenCreated = operation === 'upsert' ? ' when the upsert creates the record' : '';
+        const requiredFields = creates
+            ? fields.filter(field => field.required && field.editable && !field.systemManaged && field.name !== 'id')
+            : [];
+        requiredFields.forEach(field => {
+            if (!pushedFields.has(field.name)) {
+                issues.push(this.issue(null, field.name, '', VALIDATION_ISSUES.REQUIRED, `Required field ${field.name} is not mapped${operation === 'upsert' ? '; new records will be rejected' : ''}`));
+            }
+        });
+        
+        const uniqueValues = {};
+        
+        records.forEach((record, index) => {
+            if (operation === 'update' && !this.hasValue(record.id)) {
+                issues.push(this.issue(rowIndex(index), 'id', '', VALIDATION_ISSUES.MISSING_ID, 'Update requires an id'));
+            }
+            
+            if (operation === 'upsert' && !this.hasValue(record[keyField])) {
+                issues.push(this.issue(rowIndex(index), keyField, '', VALIDATION_ISSUES.MISSING_KEY, `Upsert requires a value for ${keyField}`));
+            }
+            
+            requiredFields.forEach(field => {
+                if (pushedFields.has(field.name) && !this.hasValue(record[field.name])) {
+                    issues.push(this.issue(rowIndex(index), field.name, '', VALIDATION_ISSUES.REQUIRED, `${field.name} is required${whenCreated}`));
+                }
+            });
+            
+            Object.keys(record).forEach(fieldName => {
+                const field = fieldsByName[fieldName];
+                const value = record[fieldName];
+                if (!field || !this.hasValue(value)) return;
+                
+                const message = this.checkValue(field, String(value), picklists);
+                if (message) {
+                    issues.push(this.issue(rowIndex(index), fieldName, value, message.type, message.text));
+                }
+                
+                if (field.unique) {
+                    const key = String(value).trim().toLowerCase();
+                    uniqueValues[fieldName] = uniqueValues[fieldName] || {};
+                    if (uniqueValues[fieldName].hasOwnProperty(key)) {
+                        issues.push(this.issue(rowIndex(index), fieldName, value, VALIDATION_ISSUES.DUPLICATE,
+                            `Duplicate of row ${uniqueValues[fieldName][key] + 1}; ${fieldName} must be unique`));
+                    } else {
+                        uniqueValues[fieldName][key] = rowIndex(index);
+                    }
+                }
+            });
+        });
+        
+        return issues;
+    },
+    
+    /**
+     * Check a non-empty value against its field type
+     * @param {Object} field - Field metadata
+     * @param {string} value - Value to check
+     * @param {Object} picklists - Valid value names keyed by picklist name
+     * @returns {Object|null} - {type, text} describing the problem, or null if valid
+     */
+    checkValue(field, value, picklists) {
+        const trimmed = value.trim();
+        
+        switch (field.type) {
+            case 'Number':
+            case 'Currency':
+            case 'Percent': {
+                if (!/^-?\d+(\.\d+)?$/.test(trimmed)) {
+                    return { type: VALIDATION_ISSUES.NUMBER, text: `"${value}" is not a number` };
+                }
+                const number = parseFloat(trimmed);
+                if ((field.minValue !== null && number < field.minValue) || (field.maxValue !== null && number > field.maxValue)) {
+                    return { type: VALIDATION_ISSUES.NUMBER, text: `${value} is outside the allowed range` };
+                }
+                break;
+            }
+            case 'Date':
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || isNaN(Date.parse(trimmed))) {
+                    return { type: VALIDATION_ISSUES.DATE, text: `"${value}" is not a date in YYYY-MM-DD format` };
+                }
+                break;
+            case 'DateTime':
+                if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/.test(trimmed) || isNaN(Date.parse(trimmed))) {
+                    return { type: VALIDATION_ISSUES.DATETIME, text: `"${value}" is not a UTC date time like 2024-01-31T13:00:00.000Z` };
+                }
+                break;
+            case 'Boolean':
+                if (!/^(true|false)$/i.test(trimmed)) {
+                    return { type: VALIDATION_ISSUES.BOOLEAN, text: `"${value}" must be true or false` };
+                }
+                break;
+            case 'Picklist': {
+                const validValues = picklists[field.picklist];
+                if (validValues) {
+                    const values = field.multiValue ? trimmed.split(',').map(item => item.trim()) : [trimmed];
+                    const invalid = values.filter(item => !validValues.includes(item));
+                    if (invalid.length > 0) {
+                        return { type: VALIDATION_ISSUES.PICKLIST, text: `${invalid.join(', ')} not in picklist ${field.picklist}` };
+                    }
+                }
+                break;
+            }
+        }
+        
+        if (field.maxLength && value.length > field.maxLength) {
+            return { type: VALIDATION_ISSUES.MAX_LENGTH, text: `${value.length} characters, maximum is ${field.maxLength}` };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Whether a value counts as supplied
+     * @param {*} value - Value to check
+     * @returns {boolean} - True if not null, undefined or blank
+     */
+    hasValue(value) {
+        return value !== null && value !== undefined && String(value).trim() !== '';
+    },
+    
+    /**
+     * Create an issue entry
+     * @param {number|null} index - Index of the record, or null for file-level issues
+     * @param {string} field - Vault field name
+     * @param {string} value - Offending value
+     * @param {string} type - One of VALIDATION_ISSUES
+     * @param {string} message - Human readable description
+     * @returns {Object} - Issue
+     */
+    issue(index, field, value, type, message) {
+        return { index, field, value, type, message };
+    }
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Mock OpenID Connect provider and Vault session exchange for trying SSO sign-in locally
+ *
+ * Run with `node tools/mock-sso-server.js [port]` (default 8080). It signs in every authorization
+ * request without asking, checks the PKCE verifier at the token endpoint, and exchanges the access
+ * tokens it issued for fake Vault session IDs. Uses only Node's built-in modules.
+ *
+ * The server also accepts requests sent through it as a CORS proxy (http://localhost:8080/<url>),
+ * so the app's proxy can point at it while testing.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8080;
+const ISSUER = `http://localhost:${PORT}`;
+
+// Lifetime of issued access tokens in seconds
+const TOKEN_LIFETIME = 60 * 60;
+
+// Authorization codes waiting to be exchanged, and issued access tokens, keyed by value
+const codes = new Map();
+const tokens = new Map();
+
+/**
+ * Create a random base64url value
+ * @returns {string} - 43 base64url characters from 32 random bytes
+ */
+function randomValue() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a form-encoded request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<URLSearchParams>} - Promise resolving to the form fields
+ */
+function readForm(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer an authorization request by redirecting straight back with a code
+ * @param {URLSearchParams} params - Query parameters of the request
+ * @param {http.ServerResponse} res - Response
+ */
+function authorize(params, res) {
+    const redirectUri = params.get('redirect_uri');
+    if (!redirectUri || !params.get('client_id')) {
+        sendJson(res, 400, { error: 'invalid_request', error_description: 'client_id and redirect_uri are required' });
+        return;
+    }
+    
+    const callback = new URL(redirectUri);
+    callback.searchParams.set('state', params.get('state') || '');
+    
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+        callback.searchParams.set('error', 'invalid_request');
+        callback.searchParams.set('error_description', 'Only the code flow with an S256 PKCE challenge is supported');
+    } else {
+        const code = randomValue();
+        codes.set(code, {
+            clientId: params.get('client_id'),
+            redirectUri: redirectUri,
+            challenge: params.get('code_challenge')
+        });
+        callback.searchParams.set('code', code);
+        console.log(`Signed in client ${params.get('client_id')}`);
+    }
+    
+    res.writeHead(302, { 'Location': callback.toString() });
+    res.end();
+}
+
+/**
+ * Exchange an authorization code for an access token after checking the PKCE verifier
+ * @param {URLSearchParams} form - Token request fields
+ * @param {http.ServerResponse} res - Response
+ */
+function issueToken(form, res) {
+    const request = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    
+    if (form.get('grant_type') !== 'authorization_code' || !request) {
+        sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or already used authorization code' });
+        return;
+    }
+    if (form.get('client_id') !== request.clientId || form.get('redirect_uri') !== request.redirectUri) {
+        sendJson(res, 400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match the authorization request' });
+        return;
+    }
+    
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== request.challenge) {
+        sendJson(res, 400, { error: 'invalid_grant', error_description: 'The code verifier does not match the challenge' });
+        return;
+    }
+    
+    const accessToken = randomValue();
+    tokens.set(accessToken, Date.now() + TOKEN_LIFETIME * 1000);
+    sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_LIFETIME });
+}
+
+/**
+ * Exchange an access token issued here for a Vault session, like the Vault OAuth / OIDC profile endpoint
+ * @param {http.IncomingMessage} req - Request
+ * @param {URLSearchParams} form - Request fields, with vaultDNS
+ * @param {string} profileId - OAuth / OIDC profile ID from the path
+ * @param {http.ServerResponse} res - Response
+ */
+function exchangeSession(req, form, profileId, res) {
+    const accessToken = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expiresAt = tokens.get(accessToken);
+    
+    if (!expiresAt || expiresAt <= Date.now()) {
+        sendJson(res, 200, { responseStatus: 'FAILURE', errors: [{ type: 'INVALID_TOKEN', message: 'Invalid or expired access token' }] });
+        return;
+    }
+    
+    console.log(`Started a session for ${form.get('vaultDNS') || 'an unnamed Vault'} through profile ${profileId}`);
+    sendJson(res, 200, { responseStatus: 'SUCCESS', sessionId: `mock-session-${randomValue()}`, vaultId: 1 });
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Accept, Authorization, Content-Type, X-VaultAPI-MigrationMode, X-VaultAPI-NoTriggers');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    
+    // Requests sent through this server as a CORS proxy carry the full target URL as their path
+    const target = req.url.replace(/^\/(?=https?:\/\/)/, '');
+    const url = new URL(target, ISSUER);
+    const sessionMatch = url.pathname.match(/^\/auth\/oauth\/session\/([^/]+)$/);
+    
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                response_types_supported: ['code'],
+                grant_types_supported: ['authorization_code'],
+                code_challenge_methods_supported: ['S256']
+            });
+        } else if (req.method === 'GET' && url.pathname === '/authorize') {
+            authorize(url.searchParams, res);
+        } else if (req.method === 'POST' && url.pathname === '/token') {
+            issueToken(await readForm(req), res);
+        } else if (req.method === 'POST' && sessionMatch) {
+            exchangeSession(req, await readForm(req), decodeURIComponent(sessionMatch[1]), res);
+        } else if (/^\/api\/v[\d.]+\/(keep-alive|session)$/.test(url.pathname)) {
+            // Keep-alive and log out of the mock sessions
+            sendJson(res, 200, { responseStatus: 'SUCCESS' });
+        } else {
+            sendJson(res, 404, { responseStatus: 'FAILURE', errors: [{ type: 'NOT_FOUND', message: `The mock does not serve ${req.method} ${url.pathname}` }] });
+        }
+    } catch (error) {
+        sendJson(res, 500, { error: 'server_error', error_description: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock SSO server listening on ${ISSUER}`);
+    console.log(`  Identity Provider URL: ${ISSUER}`);
+    console.log(`  Session Exchange URL:  ${ISSUER}/auth/oauth/session`);
+});